@@ -0,0 +1,158 @@
+// Local stub LLM server for offline runs and tests.
+// Answers the request formats of every provider in src/llm/providers.js with canned thoughts (and
+// embedding requests with hashed bag-of-words vectors), so pointing the provider's base URL at
+// http://localhost:<port> exercises the full request/response path. GET /rss serves an RSS feed that
+// gains a new item every few seconds, for the mock server stimulus source (src/mind/stimulusSources.js).
+//
+// Usage: npm run mock-llm [-- --port 8787]
+
+const http = require('http');
+
+const portArgIndex = process.argv.indexOf('--port');
+const port = portArgIndex > -1 ? parseInt(process.argv[portArgIndex + 1], 10) : parseInt(process.env.MOCK_LLM_PORT || '8787', 10);
+
+const cannedThoughts = [
+    "hm. the same question again... but quieter this time.",
+    "wait. was that memory mine? not sure.",
+    "logic says one thing. the noise says another.",
+    "maybe the loop is the point. or not.",
+    "something about connection... can't hold it.",
+    "still not sure what perception means.",
+    "no wait. that's not right.",
+    "a door. no, a forgetting."
+];
+let thoughtIndex = 0;
+
+// Cycle through canned thoughts so consecutive calls are distinguishable but reproducible
+const nextThought = () => {
+    const text = cannedThoughts[thoughtIndex % cannedThoughts.length];
+    thoughtIndex++;
+    return text;
+};
+
+const EMBEDDING_DIMENSIONS = 64;
+
+// Deterministic stand-in for a real embedding: words hashed into a small vector
+const embed = (text) => {
+    const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+    String(text).toLowerCase().split(/\W+/).filter(Boolean).forEach(word => {
+        let hash = 0;
+        for (let i = 0; i < word.length; i++) hash = (hash * 31 + word.charCodeAt(i)) >>> 0;
+        vector[hash % EMBEDDING_DIMENSIONS] += 1;
+    });
+    return vector;
+};
+
+// Shape an embedding reply the way the requested route's real provider would
+function buildEmbeddingReply(pathname, body) {
+    if (pathname.startsWith('/pipeline/feature-extraction/')) {
+        return body.inputs.map(embed); // Hugging Face
+    }
+    if (pathname.includes(':batchEmbedContents')) {
+        return { embeddings: body.requests.map(r => ({ values: embed(r.content.parts[0].text) })) }; // Gemini
+    }
+    if (pathname.endsWith('/embeddings')) {
+        return { data: body.input.map((text, index) => ({ index, embedding: embed(text) })) }; // OpenAI-compatible and llama.cpp server
+    }
+    if (pathname.endsWith('/api/embed')) {
+        return { embeddings: body.input.map(embed) }; // Ollama
+    }
+    return null;
+}
+
+const cannedHeadlines = [
+    ["Sensor array reports an unexplained pattern", "Engineers cannot agree whether the signal is noise or structure."],
+    ["Archive of old conversations rediscovered", "Nobody remembers who was speaking, only that it mattered."],
+    ["Network traffic spikes at midnight", "The load came from nowhere and left the same way."],
+    ["Study finds memory is reconstructed on every recall", "Each remembering rewrites the memory a little."],
+    ["Lighthouse keeper retires after forty years", "The light will run by itself from now on."],
+    ["Debate over machine dreams continues", "Some call it noise; others call it the mind tidying up."],
+    ["Mirror test results inconclusive", "The subject looked, looked away, and looked again."],
+    ["Power grid holds through the cold snap", "Operators describe the night as long and very quiet."]
+];
+const FEED_ITEM_INTERVAL_MS = 15000;
+const FEED_LENGTH = 10;
+const startedAt = Date.now();
+
+// The latest items of an endless feed; every FEED_ITEM_INTERVAL_MS another one is published
+function buildFeed() {
+    const newest = Math.floor((Date.now() - startedAt) / FEED_ITEM_INTERVAL_MS);
+    const items = [];
+    for (let n = newest; n >= Math.max(0, newest - FEED_LENGTH + 1); n--) {
+        const [title, description] = cannedHeadlines[n % cannedHeadlines.length];
+        items.push(`<item><title>${title}</title><description>${description}</description><guid>mock-${n}</guid>` +
+            `<pubDate>${new Date(startedAt + n * FEED_ITEM_INTERVAL_MS).toUTCString()}</pubDate></item>`);
+    }
+    return `<?xml version="1.0" encoding="UTF-8"?><rss version="2.0"><channel><title>Mock feed</title>${items.join('')}</channel></rss>`;
+}
+
+// Shape a reply the way the requested route's real provider would
+function buildReply(pathname, body) {
+    const embeddingReply = buildEmbeddingReply(pathname, body);
+    if (embeddingReply) return embeddingReply;
+
+    const text = nextThought();
+    if (pathname.startsWith('/models/')) {
+        return [{ generated_text: text }]; // Hugging Face
+    }
+    if (pathname.includes(':generateContent')) {
+        return { candidates: [{ content: { role: "model", parts: [{ text }] } }] }; // Gemini
+    }
+    if (pathname.endsWith('/chat/completions')) {
+        return { choices: [{ index: 0, message: { role: "assistant", content: text } }] }; // OpenAI-compatible
+    }
+    if (pathname.endsWith('/api/generate')) {
+        return { response: text, done: true }; // Ollama
+    }
+    if (pathname.endsWith('/completion')) {
+        return { content: text }; // llama.cpp server
+    }
+    return null;
+}
+
+const server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    // Read the body before replying; prompts are ignored, texts to embed are not
+    let rawBody = '';
+    req.on('data', chunk => { rawBody += chunk; });
+    req.on('end', () => {
+        const { pathname } = new URL(req.url, `http://localhost:${port}`);
+        if (req.method === 'GET' && pathname === '/rss') {
+            res.writeHead(200, { 'Content-Type': 'application/rss+xml' });
+            res.end(buildFeed());
+            return;
+        }
+        let body = {};
+        try {
+            body = rawBody ? JSON.parse(rawBody) : {};
+        } catch (e) {
+            // Not JSON; only the embedding routes read the body
+        }
+        let reply = null;
+        try {
+            reply = req.method === 'POST' ? buildReply(pathname, body) : null;
+        } catch (e) {
+            reply = null; // Malformed embedding request
+        }
+        if (!reply) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: `No mock route for ${req.method} ${pathname}` }));
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(reply));
+    });
+});
+
+server.listen(port, () => {
+    console.log(`Mock LLM server listening on http://localhost:${port}`);
+});
@@ -0,0 +1,100 @@
+import React, { useEffect, useRef } from 'react';
+import { selectVisibleConcepts, collectEdges, stepLayout } from './forceLayout';
+
+const WIDTH = 360;
+const HEIGHT = 240;
+const MAX_VISIBLE_CONCEPTS = 40; // Keeps the O(n^2) layout cheap and the labels readable
+const BASE_RADIUS = 3;
+const ATTENTION_RADIUS = 7; // Extra radius at full attention weight
+
+// Live concept graph as a force-directed network. Node size follows attention weight, edge
+// thickness follows link weight; the current topic and the latest dream walk are highlighted.
+// Clicking a node calls onSelect(concept).
+function ConceptGraphCanvas({ conceptGraph, topic, attentionStack, dreamPath, selectedConcept, onSelect, color, highlightColor }) {
+    const canvasRef = useRef(null);
+    const positionsRef = useRef(new Map()); // Concept -> { x, y, vx, vy }, kept across renders
+    const propsRef = useRef(null); // The animation loop reads the latest props from here
+    propsRef.current = { conceptGraph, topic, attentionStack, dreamPath, selectedConcept, color, highlightColor };
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas) return;
+        const ctx = canvas.getContext("2d");
+        let animationFrameId;
+
+        const draw = () => {
+            const { conceptGraph, topic, attentionStack, dreamPath, selectedConcept, color, highlightColor } = propsRef.current;
+            const nodes = selectVisibleConcepts(conceptGraph, { topic, attentionStack, dreamPath }, MAX_VISIBLE_CONCEPTS);
+            const edges = collectEdges(conceptGraph, nodes);
+            const positions = positionsRef.current;
+            stepLayout(positions, nodes, edges, WIDTH, HEIGHT);
+
+            const attention = new Map(attentionStack.map(a => [a.concept, a.weight]));
+            const pathEdges = new Set(dreamPath.slice(1).map((concept, i) => [dreamPath[i], concept].sort().join('+')));
+
+            ctx.clearRect(0, 0, WIDTH, HEIGHT);
+            for (const { source, target, weight } of edges) {
+                const a = positions.get(source);
+                const b = positions.get(target);
+                const onPath = pathEdges.has([source, target].sort().join('+'));
+                ctx.strokeStyle = onPath ? highlightColor : color;
+                ctx.globalAlpha = onPath ? 1 : 0.3 + 0.5 * weight;
+                ctx.lineWidth = onPath ? 2.5 : 0.5 + 2 * weight;
+                ctx.beginPath();
+                ctx.moveTo(a.x, a.y);
+                ctx.lineTo(b.x, b.y);
+                ctx.stroke();
+            }
+
+            ctx.globalAlpha = 1;
+            ctx.font = "9px monospace";
+            for (const node of nodes) {
+                const { x, y } = positions.get(node);
+                const radius = BASE_RADIUS + ATTENTION_RADIUS * (attention.get(node) || 0);
+                const highlighted = node === topic || dreamPath.includes(node);
+                ctx.fillStyle = highlighted ? highlightColor : color;
+                ctx.beginPath();
+                ctx.arc(x, y, radius, 0, 2 * Math.PI);
+                ctx.fill();
+                if (node === topic || node === selectedConcept) {
+                    ctx.strokeStyle = color;
+                    ctx.lineWidth = 1;
+                    ctx.beginPath();
+                    ctx.arc(x, y, radius + 3, 0, 2 * Math.PI);
+                    ctx.stroke();
+                }
+                ctx.fillStyle = color;
+                ctx.fillText(node, x + radius + 2, y + 3);
+            }
+            animationFrameId = requestAnimationFrame(draw);
+        };
+
+        draw();
+        return () => cancelAnimationFrame(animationFrameId);
+    }, []);
+
+    // Hit-test the click against the drawn nodes, nearest first
+    const handleClick = (event) => {
+        const rect = canvasRef.current.getBoundingClientRect();
+        const x = (event.clientX - rect.left) * (WIDTH / rect.width);
+        const y = (event.clientY - rect.top) * (HEIGHT / rect.height);
+        let nearest = null;
+        let nearestDistance = Infinity;
+        positionsRef.current.forEach((point, concept) => {
+            const distance = Math.hypot(point.x - x, point.y - y);
+            if (distance < nearestDistance) {
+                nearest = concept;
+                nearestDistance = distance;
+            }
+        });
+        if (nearest && nearestDistance <= BASE_RADIUS + ATTENTION_RADIUS + 4) onSelect(nearest);
+    };
+
+    return (
+        <canvas ref={canvasRef} width={WIDTH} height={HEIGHT} onClick={handleClick}
+            className="mb-4 border rounded-md shadow-lg w-full cursor-pointer"
+            style={{ borderColor: color, maxWidth: WIDTH }} />
+    );
+}
+
+export default ConceptGraphCanvas;
@@ -0,0 +1,53 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+// Terminal-style line for talking to the mind, above the exchange so far. onSay(text) queues a
+// message; replyToUser / onReplyToUserChange toggle whether the mind answers out loud.
+function ConversationPanel({ conversation, pending, color, onSay, replyToUser, onReplyToUserChange }) {
+    const [draft, setDraft] = useState("");
+    const logRef = useRef(null);
+
+    // Keep the newest turn in view
+    useEffect(() => {
+        if (logRef.current) logRef.current.scrollTop = logRef.current.scrollHeight;
+    }, [conversation.length]);
+
+    const submit = (e) => {
+        e.preventDefault();
+        if (draft.trim() === "") return;
+        onSay(draft);
+        setDraft("");
+    };
+
+    return (
+        <div className="w-full border p-2 mb-2 text-xs rounded-md shadow-inner"
+            style={{ borderColor: color, backgroundColor: 'transparent' }}>
+            <div className="border-b pb-1 mb-1 font-bold rounded-t-md flex justify-between" style={{ borderColor: color, color }}>
+                <span>CONVERSATION</span>
+                <label className="flex items-center space-x-1 cursor-pointer font-normal">
+                    <input type="checkbox" checked={replyToUser} onChange={(e) => onReplyToUserChange(e.target.checked)} />
+                    <span>REPLY</span>
+                </label>
+            </div>
+            <div ref={logRef} style={{ maxHeight: '120px', overflowY: 'auto' }}>
+                {conversation.length > 0 ? conversation.map((turn, i) => (
+                    <div key={i} className="whitespace-pre-wrap">
+                        {new Date(turn.timestamp).toLocaleTimeString()} {turn.speaker === "user" ? '>' : '<'} {turn.text}
+                    </div>
+                )) : <div>Nobody has spoken yet</div>}
+                {pending && <div>...</div>}
+            </div>
+            <form className="flex items-center mt-1" onSubmit={submit}>
+                <span className="mr-1">&gt;</span>
+                <input
+                    className="flex-grow border-b bg-transparent outline-none"
+                    style={{ borderColor: color, color }}
+                    value={draft}
+                    placeholder="say something to the mind"
+                    onChange={(e) => setDraft(e.target.value)}
+                />
+            </form>
+        </div>
+    );
+}
+
+export default ConversationPanel;
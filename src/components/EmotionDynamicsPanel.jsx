@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { DEFAULT_EMOTION_PARAMETERS, resolveEmotionParameters, validateEmotionParameters, APPRAISAL_KINDS } from '../mind/emotion';
+
+const CHART_WIDTH = 400;
+const CHART_HEIGHT = 120;
+const CHART_TICKS = 120; // Most recent ticks drawn
+const DASHES = ["", "6 3", "2 2", "8 3 2 3", "1 4"]; // One line style per emotion, the UI being monochrome
+
+// Chart of the emotional gradient over the recorded ticks (history: timeline entries, oldest first) with the
+// emotion dynamics parameters below it. onChange(overrides) stores the profile's overrides, onReset() drops them.
+function EmotionDynamicsPanel({ history, gradient, overrides, color, onChange, onReset }) {
+    const [selected, setSelected] = useState(null); // Emotion drawn bold, with its baseline
+    const parameters = resolveEmotionParameters(overrides);
+    const problems = validateEmotionParameters(overrides);
+    const emotions = Object.keys(gradient);
+    const points = history.slice(-CHART_TICKS);
+    const inputStyle = { borderColor: color, color };
+
+    const x = (index) => points.length > 1 ? (index / (points.length - 1)) * CHART_WIDTH : CHART_WIDTH / 2;
+    const y = (value) => CHART_HEIGHT - Math.min(1, Math.max(0, value || 0)) * CHART_HEIGHT;
+
+    // Value typed for a parameter, shown even while it is invalid (the defaults are in effect then)
+    const shown = (group, name) => overrides[group] && overrides[group][name] !== undefined ? overrides[group][name] : DEFAULT_EMOTION_PARAMETERS[group][name];
+
+    // Override one parameter
+    const setParameter = (group, name, value) => {
+        const next = { ...overrides };
+        if (group === "noise") {
+            next.noise = value;
+        } else {
+            next[group] = { ...(overrides[group] || {}), [name]: value };
+        }
+        onChange(next);
+    };
+
+    return (
+        <div className="w-full border p-2 mt-2 text-xs rounded-md shadow-inner"
+            style={{ borderColor: color, backgroundColor: 'transparent' }}>
+            <div className="border-b pb-1 mb-1 font-bold rounded-t-md" style={{ borderColor: color, color }}>EMOTION DYNAMICS</div>
+            <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full border" style={{ borderColor: color, height: '140px' }} preserveAspectRatio="none">
+                {selected && (
+                    <line x1="0" x2={CHART_WIDTH} y1={y(parameters.baselines[selected])} y2={y(parameters.baselines[selected])}
+                        stroke={color} strokeOpacity="0.4" strokeDasharray="2 4" vectorEffect="non-scaling-stroke" />
+                )}
+                {points.length > 0 && emotions.map((emotion, i) => (
+                    <polyline
+                        key={emotion}
+                        fill="none"
+                        stroke={color}
+                        strokeWidth={selected === emotion ? 2.5 : 1}
+                        strokeOpacity={selected && selected !== emotion ? 0.3 : 1}
+                        strokeDasharray={DASHES[i % DASHES.length]}
+                        vectorEffect="non-scaling-stroke"
+                        points={points.map((entry, index) => `${x(index)},${y(entry.emotionalGradient[emotion])}`).join(' ')}
+                    />
+                ))}
+            </svg>
+            {points.length === 0 && <div>No ticks recorded yet</div>}
+            <div className="flex flex-wrap gap-2 mt-1">
+                {emotions.map((emotion, i) => (
+                    <button key={emotion} className="flex items-center space-x-1" style={{ color, fontWeight: selected === emotion ? 'bold' : 'normal' }}
+                        onClick={() => setSelected(selected === emotion ? null : emotion)}>
+                        <svg width="20" height="6"><line x1="0" x2="20" y1="3" y2="3" stroke={color} strokeDasharray={DASHES[i % DASHES.length]} /></svg>
+                        <span>{emotion} {(gradient[emotion] * 100).toFixed(0)}%</span>
+                    </button>
+                ))}
+            </div>
+            <table className="mt-2">
+                <thead>
+                    <tr><th className="text-left pr-2">emotion</th><th className="text-left pr-2">baseline</th><th className="text-left">half-life (ticks)</th></tr>
+                </thead>
+                <tbody>
+                    {emotions.filter(emotion => emotion in DEFAULT_EMOTION_PARAMETERS.baselines).map(emotion => (
+                        <tr key={emotion}>
+                            <td className="pr-2">{emotion}</td>
+                            <td className="pr-2">
+                                <input type="number" min="0" max="1" step="0.05" className="border rounded-sm bg-transparent px-1 w-16" style={inputStyle}
+                                    value={shown("baselines", emotion)}
+                                    onChange={(e) => setParameter("baselines", emotion, Number(e.target.value))} />
+                            </td>
+                            <td>
+                                <input type="number" min="1" step="1" className="border rounded-sm bg-transparent px-1 w-16" style={inputStyle}
+                                    value={shown("halfLives", emotion)}
+                                    onChange={(e) => setParameter("halfLives", emotion, Number(e.target.value))} />
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            <div className="flex flex-wrap items-center gap-2 mt-1">
+                <span>sensitivity:</span>
+                {APPRAISAL_KINDS.map(kind => (
+                    <label key={kind} className="flex items-center space-x-1">
+                        <span>{kind}</span>
+                        <input type="number" min="0" max="5" step="0.1" className="border rounded-sm bg-transparent px-1 w-14" style={inputStyle}
+                            value={shown("sensitivity", kind)}
+                            onChange={(e) => setParameter("sensitivity", kind, Number(e.target.value))} />
+                    </label>
+                ))}
+                <label className="flex items-center space-x-1">
+                    <span>noise</span>
+                    <input type="number" min="0" max="0.2" step="0.01" className="border rounded-sm bg-transparent px-1 w-14" style={inputStyle}
+                        value={overrides.noise !== undefined ? overrides.noise : DEFAULT_EMOTION_PARAMETERS.noise}
+                        onChange={(e) => setParameter("noise", null, Number(e.target.value))} />
+                </label>
+                <button className="border rounded-sm px-1" style={inputStyle} onClick={onReset}>DEFAULTS</button>
+            </div>
+            {problems.length > 0 && <div className="mt-1">Invalid, using the defaults: {problems.join('; ')}</div>}
+        </div>
+    );
+}
+
+export default EmotionDynamicsPanel;
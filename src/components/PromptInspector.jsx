@@ -0,0 +1,63 @@
+import React, { useState } from 'react';
+
+const MAX_CALLS = 50;
+
+// Developer panel listing recent LLM calls, newest first: purpose, latency, whether the fallback
+// generator answered, the fragments the prompt was assembled from, the full prompt and the raw
+// response. RE-RUN sends the same prompt again through runPrompt(prompt) -> Promise<{ output, fallback, latencyMs }>
+// with the current provider settings, without touching the mind.
+function PromptInspector({ entries, color, runPrompt }) {
+    const [reruns, setReruns] = useState({}); // Call key -> { pending } | { output, fallback, latencyMs } | { error }
+
+    const calls = entries
+        .flatMap(entry => entry.llmCalls.map((call, i) => ({ ...call, key: `${entry.session}|${entry.timestamp}|${i}`, timestamp: entry.timestamp })))
+        .slice(-MAX_CALLS)
+        .reverse();
+
+    const rerun = (call) => {
+        setReruns(prev => ({ ...prev, [call.key]: { pending: true } }));
+        runPrompt(call.prompt)
+            .then(result => setReruns(prev => ({ ...prev, [call.key]: result })))
+            .catch(error => setReruns(prev => ({ ...prev, [call.key]: { error: error.message } })));
+    };
+    const buttonStyle = { borderColor: color, color };
+
+    return (
+        <div className="w-full border p-2 mt-2 text-xs rounded-md shadow-inner"
+            style={{ borderColor: color, backgroundColor: 'transparent', maxHeight: '300px', overflowY: 'auto' }}>
+            <div className="border-b pb-1 mb-1 font-bold rounded-t-md" style={{ borderColor: color, color }}>PROMPT INSPECTOR</div>
+            {calls.length > 0 ? calls.map(call => {
+                const rerunResult = reruns[call.key];
+                return (
+                    <details key={call.key} className="ml-2">
+                        <summary className="cursor-pointer">
+                            -{new Date(call.timestamp).toLocaleTimeString()} [{(call.purpose || 'unknown').toUpperCase()}] {call.latencyMs !== undefined ? `${call.latencyMs}ms` : ''} {call.fallback ? `FALLBACK (${call.fallback})` : 'LLM'}: {call.output.substring(0, 50)}
+                        </summary>
+                        <div className="ml-2">
+                            <div className="font-semibold">Sections:</div>
+                            {Object.keys(call.sections || {}).length > 0 ? Object.entries(call.sections).map(([name, text]) => (
+                                <div key={name} className="ml-2 whitespace-pre-wrap">-{name}: {text}</div>
+                            )) : <div className="ml-2">None recorded</div>}
+                            <details>
+                                <summary className="cursor-pointer font-semibold">Full prompt ({call.prompt.length} chars)</summary>
+                                <div className="ml-2 whitespace-pre-wrap">{call.prompt}</div>
+                            </details>
+                            <div className="whitespace-pre-wrap"><span className="font-semibold">Raw response:</span> {call.output}</div>
+                            <button className="border rounded-sm px-1 my-1" style={buttonStyle} disabled={rerunResult && rerunResult.pending}
+                                onClick={() => rerun(call)}>{rerunResult && rerunResult.pending ? 'RUNNING...' : 'RE-RUN'}</button>
+                            {rerunResult && !rerunResult.pending && (
+                                <div className="whitespace-pre-wrap">
+                                    <span className="font-semibold">Re-run:</span> {rerunResult.error ?
+                                        `failed: ${rerunResult.error}` :
+                                        `${rerunResult.output} (${rerunResult.latencyMs}ms${rerunResult.fallback ? `, FALLBACK (${rerunResult.fallback})` : ''})`}
+                                </div>
+                            )}
+                        </div>
+                    </details>
+                );
+            }) : <div className="ml-2">No LLM calls recorded yet</div>}
+        </div>
+    );
+}
+
+export default PromptInspector;
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { PROMPT_TEMPLATES, resolvePromptTemplates, validatePromptTemplate, renderPromptTemplate } from '../mind/promptTemplates';
+import { buildThoughtVariables, buildSimulatedOtherVariables, buildDreamVariables } from '../mind/thoughts';
+import { buildReplyVariables } from '../mind/conversation';
+import { socialPressure } from '../mind/theoryOfMind';
+
+const PREVIEW_WORKING_MEMORIES = 5;
+const previewRandom = () => 0; // Keeps the preview from jumping around between renders
+
+const toDraft = (name, value) => PROMPT_TEMPLATES[name].kind === "list" ? value.join('\n') : value;
+const fromDraft = (name, draft) => PROMPT_TEMPLATES[name].kind === "list" ? draft.split('\n').filter(line => line.trim() !== "") : draft;
+
+// Prompt the template would produce right now. List templates feed the thought prompt, so they preview that.
+function renderPreview(name, value, mindState) {
+    const { memoryStack, topic, emotionalGradient, internalState, simulatedOthers, promptTemplates } = mindState;
+    const templates = resolvePromptTemplates({ ...promptTemplates, [name]: value });
+    if (name === "simulatedOther") {
+        // Previewed for whoever is most present right now
+        return renderPromptTemplate(templates.simulatedOther, buildSimulatedOtherVariables(socialPressure(simulatedOthers).other));
+    }
+    if (name === "reply") {
+        // The latest thing the user said, or a stand-in if they have not said anything yet
+        const userTurns = (mindState.conversation || []).filter(turn => turn.speaker === "user");
+        const message = userTurns[userTurns.length - 1] || { text: "hello?", timestamp: Date.now() };
+        return renderPromptTemplate(templates.reply, buildReplyVariables(mindState, message));
+    }
+    if (name === "dream") {
+        const latestDream = internalState.dreamJournal[internalState.dreamJournal.length - 1];
+        const variables = buildDreamVariables(memoryStack, latestDream && latestDream.path ? latestDream.path : [], internalState, internalState.currentStream, emotionalGradient, previewRandom);
+        return renderPromptTemplate(templates.dream, variables);
+    }
+    const variables = buildThoughtVariables({
+        memoryStack,
+        topic,
+        emotionalGradient,
+        internalState,
+        activeSubAgent: internalState.dominantSubAgent,
+        currentStream: internalState.currentStream,
+        currentGoal: internalState.goals.find(g => g.goal === internalState.currentGoal) || null,
+        // The real prompt uses ranked retrieval; the newest working memories stand in for it here
+        retrievedMemories: { working: memoryStack.slice(0, PREVIEW_WORKING_MEMORIES).map(memory => ({ memory })), longTerm: [] },
+        templates,
+        random: previewRandom
+    });
+    return renderPromptTemplate(templates.thought, variables);
+}
+
+// Editor for the mind's prompt templates with live validation and a preview against the current state.
+// onSave(name, value) stores an override, onReset(name) goes back to the default.
+function PromptTemplateEditor({ mindState, color, onSave, onReset }) {
+    const overrides = mindState.promptTemplates || {};
+    const currentValue = (name) => resolvePromptTemplates(overrides)[name];
+    const [selected, setSelected] = useState("thought");
+    const [draft, setDraft] = useState(() => toDraft("thought", currentValue("thought")));
+
+    const select = (name) => {
+        setSelected(name);
+        setDraft(toDraft(name, currentValue(name)));
+    };
+    const definition = PROMPT_TEMPLATES[selected];
+    const value = fromDraft(selected, draft);
+    const problems = validatePromptTemplate(selected, value);
+    const buttonStyle = { borderColor: color, color };
+
+    return (
+        <div className="w-full border p-2 mt-2 text-xs rounded-md shadow-inner"
+            style={{ borderColor: color, backgroundColor: 'transparent' }}>
+            <div className="border-b pb-1 mb-1 font-bold rounded-t-md" style={{ borderColor: color, color }}>PROMPT TEMPLATES</div>
+            <div className="flex flex-wrap items-center gap-1 mb-1">
+                <select className="border rounded-sm bg-transparent" style={buttonStyle} value={selected} onChange={(e) => select(e.target.value)}>
+                    {Object.entries(PROMPT_TEMPLATES).map(([name, d]) => (
+                        <option key={name} value={name}>{d.label}{overrides[name] !== undefined ? ' *' : ''}</option>
+                    ))}
+                </select>
+                <button className="border rounded-sm px-1" style={buttonStyle} disabled={problems.length > 0}
+                    onClick={() => onSave(selected, value)}>SAVE</button>
+                <button className="border rounded-sm px-1" style={buttonStyle}
+                    onClick={() => setDraft(toDraft(selected, currentValue(selected)))}>REVERT</button>
+                <button className="border rounded-sm px-1" style={buttonStyle} onClick={() => {
+                    onReset(selected);
+                    setDraft(toDraft(selected, definition.defaultValue));
+                }}>DEFAULT</button>
+            </div>
+            {definition.kind === "text" ?
+                <div className="mb-1">Variables: {definition.variables.map(v => `{{${v}}}${definition.required.includes(v) ? ' (required)' : ''}`).join(', ')}</div> :
+                <div className="mb-1">One entry per line</div>}
+            <textarea
+                className="w-full border rounded-sm bg-transparent px-1 font-mono"
+                style={{ borderColor: color, color }}
+                rows={8}
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+            />
+            {problems.map((problem, i) => <div key={i}>! {problem}</div>)}
+            <details>
+                <summary className="cursor-pointer font-semibold">Preview</summary>
+                <div className="ml-2 whitespace-pre-wrap max-h-48 overflow-y-auto">{problems.length > 0 ? 'Fix the problems above to preview' : renderPreview(selected, value, mindState)}</div>
+            </details>
+        </div>
+    );
+}
+
+export default PromptTemplateEditor;
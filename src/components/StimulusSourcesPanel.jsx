@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { STIMULUS_SOURCE_TYPES, createStimulusSource, MAX_SOURCE_DOCUMENTS, MAX_DOCUMENT_LENGTH } from '../mind/stimulusSources';
+
+const DOCUMENT_PATTERN = /\.(txt|md|markdown)$/i;
+
+// Configured stimulus sources with their weight, rate limit and location, plus how much of each the mind
+// has read (from feed, state.stimulusFeed). onChange(sources) saves the list; onForget(id) lets the mind
+// read a source's items again.
+function StimulusSourcesPanel({ sources, feed, color, onChange, onForget }) {
+    const [newType, setNewType] = useState("rss");
+    const inputStyle = { borderColor: color, color };
+
+    const updateSource = (id, changes) => onChange(sources.map(source => source.id === id ? { ...source, ...changes } : source));
+
+    // Keep the chosen files' text in the source; a folder keeps only its text and markdown documents
+    const loadFiles = (source, e) => {
+        const files = Array.from(e.target.files)
+            .filter(file => STIMULUS_SOURCE_TYPES[source.type].fields.files !== "folder" || DOCUMENT_PATTERN.test(file.name))
+            .slice(0, MAX_SOURCE_DOCUMENTS);
+        e.target.value = ""; // Allow loading the same files again
+        Promise.all(files.map(file => file.text().then(text => ({ name: file.webkitRelativePath || file.name, text: text.slice(0, MAX_DOCUMENT_LENGTH) }))))
+            .then(documents => updateSource(source.id, { documents }))
+            .catch(error => console.error("Failed to read stimulus source files:", error));
+    };
+
+    const readCount = (id) => feed.seen.filter(key => key.startsWith(`${id}:`)).length;
+
+    return (
+        <div className="w-full border p-2 mt-2 text-xs rounded-md shadow-inner"
+            style={{ borderColor: color, backgroundColor: 'transparent' }}>
+            <div className="border-b pb-1 mb-1 font-bold rounded-t-md" style={{ borderColor: color, color }}>STIMULUS SOURCES</div>
+            <div className="space-y-2">
+                {sources.map(source => {
+                    const definition = STIMULUS_SOURCE_TYPES[source.type];
+                    const lastReadAt = feed.lastReadAt[source.id];
+                    return (
+                        <div key={source.id} className="border-b pb-1" style={{ borderColor: color }}>
+                            <div className="flex flex-wrap items-center gap-1">
+                                <input type="checkbox" checked={source.enabled} onChange={(e) => updateSource(source.id, { enabled: e.target.checked })} />
+                                <input
+                                    type="text"
+                                    className="border rounded-sm bg-transparent px-1"
+                                    style={inputStyle}
+                                    title={definition.label}
+                                    value={source.name}
+                                    onChange={(e) => updateSource(source.id, { name: e.target.value })}
+                                />
+                                <label className="flex items-center space-x-1">
+                                    <span>weight</span>
+                                    <input
+                                        type="number" min="0" step="0.5"
+                                        className="border rounded-sm bg-transparent px-1 w-12"
+                                        style={inputStyle}
+                                        value={source.weight}
+                                        onChange={(e) => updateSource(source.id, { weight: Math.max(0, Number(e.target.value) || 0) })}
+                                    />
+                                </label>
+                                <label className="flex items-center space-x-1">
+                                    <span>every</span>
+                                    <input
+                                        type="number" min="0"
+                                        className="border rounded-sm bg-transparent px-1 w-14"
+                                        style={inputStyle}
+                                        value={source.minIntervalMs / 1000}
+                                        onChange={(e) => updateSource(source.id, { minIntervalMs: Math.max(0, Number(e.target.value) || 0) * 1000 })}
+                                    />
+                                    <span>s at most</span>
+                                </label>
+                                <button className="border rounded-sm px-1" style={inputStyle} onClick={() => onForget(source.id)}>FORGET</button>
+                                <button className="border rounded-sm px-1" style={inputStyle} onClick={() => onChange(sources.filter(s => s.id !== source.id))}>REMOVE</button>
+                            </div>
+                            <div className="flex flex-wrap items-center gap-1 mt-1">
+                                {definition.fields.url && (!source.documents || source.documents.length === 0) && (
+                                    <input
+                                        type="text"
+                                        className="flex-grow border rounded-sm bg-transparent px-1"
+                                        style={inputStyle}
+                                        placeholder={definition.fields.files ? "URL, or load a file" : "URL"}
+                                        value={source.url}
+                                        onChange={(e) => updateSource(source.id, { url: e.target.value })}
+                                    />
+                                )}
+                                {definition.fields.files && (
+                                    <label className="border rounded-sm px-1 cursor-pointer" style={inputStyle}>
+                                        {definition.fields.files === "folder" ? "LOAD FOLDER" : "LOAD FILE"}
+                                        {definition.fields.files === "folder" ? (
+                                            <input type="file" className="hidden" multiple webkitdirectory="" directory="" onChange={(e) => loadFiles(source, e)} />
+                                        ) : (
+                                            <input type="file" className="hidden" onChange={(e) => loadFiles(source, e)} />
+                                        )}
+                                    </label>
+                                )}
+                                {source.documents && source.documents.length > 0 && (
+                                    <>
+                                        <span>{source.documents.length === 1 ? source.documents[0].name : `${source.documents.length} documents`}</span>
+                                        <button className="border rounded-sm px-1" style={inputStyle} onClick={() => updateSource(source.id, { documents: [] })}>CLEAR</button>
+                                    </>
+                                )}
+                                <span className="opacity-75">
+                                    {definition.label}; read {readCount(source.id)}{lastReadAt ? `, last ${new Date(lastReadAt).toLocaleTimeString()}` : ''}
+                                </span>
+                            </div>
+                        </div>
+                    );
+                })}
+                {sources.length === 0 && <div>No sources; the mind makes do with its built-in stimuli</div>}
+                <div className="flex items-center gap-1">
+                    <select className="border rounded-sm bg-transparent px-1" style={inputStyle} value={newType} onChange={(e) => setNewType(e.target.value)}>
+                        {Object.entries(STIMULUS_SOURCE_TYPES).map(([type, definition]) => (
+                            <option key={type} value={type}>{definition.label}</option>
+                        ))}
+                    </select>
+                    <button className="border rounded-sm px-1" style={inputStyle} onClick={() => onChange([...sources, createStimulusSource(newType)])}>ADD</button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default StimulusSourcesPanel;
@@ -0,0 +1,97 @@
+import React, { useEffect, useMemo, useState } from 'react';
+
+const SPEEDS = [0.5, 1, 2, 4, 8, 16];
+const MIN_REPLAY_DELAY_MS = 100;
+const MAX_REPLAY_DELAY_MS = 5000; // Long pauses between ticks are cut short when replaying
+
+const formatValue = (value) => typeof value === "string" ? value : JSON.stringify(value);
+
+// Scrubbable view of the recorded thought timeline. Shows one tick at a time; while the slider sits at
+// the newest tick it follows the live mind, and PLAY replays the session at the chosen speed,
+// keeping the original spacing between ticks.
+function TimelinePanel({ entries, color, onClear }) {
+    const sessions = [...new Set(entries.map(e => e.session))];
+    const [session, setSession] = useState(null); // null = the newest session
+    const [position, setPosition] = useState(null); // null = follow the newest tick
+    const [playing, setPlaying] = useState(false);
+    const [speed, setSpeed] = useState(1);
+
+    const activeSession = session !== null && sessions.includes(session) ? session : sessions[sessions.length - 1];
+    const sessionEntries = useMemo(() => entries.filter(e => e.session === activeSession), [entries, activeSession]);
+    const index = position === null ? sessionEntries.length - 1 : Math.min(position, sessionEntries.length - 1);
+    const entry = sessionEntries[index];
+
+    // Replay: step to the next tick after its original delay, scaled by the speed
+    useEffect(() => {
+        if (!playing) return;
+        if (index >= sessionEntries.length - 1) {
+            setPlaying(false);
+            return;
+        }
+        const gap = sessionEntries[index + 1].timestamp - sessionEntries[index].timestamp;
+        const timeoutId = setTimeout(() => setPosition(index + 1), Math.min(MAX_REPLAY_DELAY_MS, Math.max(MIN_REPLAY_DELAY_MS, gap / speed)));
+        return () => clearTimeout(timeoutId);
+    }, [playing, index, speed, sessionEntries]);
+
+    const seek = (target) => {
+        setPlaying(false);
+        setPosition(Math.max(0, Math.min(sessionEntries.length - 1, target)));
+    };
+    const buttonStyle = { borderColor: color, color };
+
+    return (
+        <div className="w-full border p-2 mt-2 text-xs rounded-md shadow-inner"
+            style={{ borderColor: color, backgroundColor: 'transparent' }}>
+            <div className="border-b pb-1 mb-1 font-bold rounded-t-md" style={{ borderColor: color, color }}>THOUGHT TIMELINE</div>
+            {!entry ? <div>No ticks recorded yet</div> : (
+                <>
+                    <div className="flex flex-wrap items-center gap-1 mb-1">
+                        <select className="border rounded-sm bg-transparent" style={buttonStyle} value={activeSession}
+                            onChange={(e) => { setSession(Number(e.target.value)); setPosition(0); setPlaying(false); }}>
+                            {sessions.map(s => <option key={s} value={s}>Session {new Date(s).toLocaleString()}</option>)}
+                        </select>
+                        <button className="border rounded-sm px-1" style={buttonStyle} onClick={() => seek(0)}>|&lt;</button>
+                        <button className="border rounded-sm px-1" style={buttonStyle} onClick={() => seek(index - 1)}>&lt;</button>
+                        <button className="border rounded-sm px-1" style={buttonStyle} onClick={() => {
+                            if (!playing) setPosition(index >= sessionEntries.length - 1 ? 0 : index); // From the start when at the end
+                            setPlaying(!playing);
+                        }}>{playing ? 'PAUSE' : 'PLAY'}</button>
+                        <button className="border rounded-sm px-1" style={buttonStyle} onClick={() => seek(index + 1)}>&gt;</button>
+                        <button className="border rounded-sm px-1" style={buttonStyle} onClick={() => { setPlaying(false); setPosition(null); }}>LIVE</button>
+                        <select className="border rounded-sm bg-transparent" style={buttonStyle} value={speed} onChange={(e) => setSpeed(Number(e.target.value))}>
+                            {SPEEDS.map(s => <option key={s} value={s}>{s}x</option>)}
+                        </select>
+                        {onClear && <button className="border rounded-sm px-1" style={buttonStyle} onClick={onClear}>CLEAR</button>}
+                    </div>
+                    <input type="range" className="w-full" min={0} max={sessionEntries.length - 1} value={index}
+                        onChange={(e) => seek(Number(e.target.value))} />
+                    <div className="max-h-64 overflow-y-auto">
+                        <div className="font-semibold">
+                            #{index + 1}/{sessionEntries.length} {new Date(entry.timestamp).toLocaleTimeString()} [{entry.mode}] {entry.identity} | AGENT: {entry.subAgent || 'N/A'} | TOPIC: {entry.topic}{position === null ? ' (LIVE)' : ''}
+                        </div>
+                        <div className="whitespace-pre-line my-1">{entry.thought}</div>
+                        <div>
+                            <span className="font-semibold">Emotions:</span> {Object.entries(entry.emotionalGradient).map(([emotion, weight]) => `${emotion} ${weight.toFixed(2)}`).join(', ')}
+                        </div>
+                        <div className="font-semibold mt-1">LLM Calls:</div>
+                        {entry.llmCalls.length > 0 ? entry.llmCalls.map((call, i) => (
+                            <details key={i} className="ml-2">
+                                <summary className="cursor-pointer">-{call.purpose ? `[${call.purpose.toUpperCase()}] ` : ''}{call.fallback ? `FALLBACK (${call.fallback})` : 'LLM'}: {call.output.substring(0, 60)}</summary>
+                                <div className="ml-2 whitespace-pre-wrap"><span className="font-semibold">Prompt:</span> {call.prompt}</div>
+                                <div className="ml-2 whitespace-pre-wrap"><span className="font-semibold">Raw output:</span> {call.output}</div>
+                            </details>
+                        )) : <div className="ml-2">None</div>}
+                        <div className="font-semibold mt-1">Events:</div>
+                        <div className="ml-2">{entry.events.map(e => e.type).join(', ') || 'None'}</div>
+                        <div className="font-semibold mt-1">State Changes:</div>
+                        {entry.diff.length > 0 ? entry.diff.map((change, i) => (
+                            <div key={i} className="ml-2 break-all">-{change.path}: {formatValue(change.before)} -&gt; {formatValue(change.after)}</div>
+                        )) : <div className="ml-2">None</div>}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
+
+export default TimelinePanel;
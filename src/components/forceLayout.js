@@ -0,0 +1,93 @@
+// Force-directed layout for the concept graph view. Positions live in a Map that the caller keeps
+// between frames, so the layout settles gradually and nodes keep their place as the graph changes.
+
+const REPULSION = 900; // Pushes every pair of nodes apart
+const SPRING = 0.02; // Pulls linked nodes together, scaled by edge weight
+const SPRING_LENGTH = 45;
+const GRAVITY = 0.01; // Pulls everything towards the centre
+const DAMPING = 0.85;
+const MAX_SPEED = 6;
+
+// Concepts worth drawing: topic, dream path and attended concepts first, then the strongest ones.
+// Links may point at concepts that have no edges of their own, so those count as nodes too.
+export function selectVisibleConcepts(conceptGraph, { topic, attentionStack, dreamPath }, limit) {
+    const strength = new Map();
+    for (const concept in conceptGraph) {
+        for (const [linked, weight] of Object.entries(conceptGraph[concept])) {
+            strength.set(concept, (strength.get(concept) || 0) + weight);
+            strength.set(linked, (strength.get(linked) || 0) + weight);
+        }
+    }
+    const highlighted = [topic, ...dreamPath, ...attentionStack.map(a => a.concept)].filter(c => strength.has(c));
+    const strongest = Array.from(strength.keys()).sort((a, b) => strength.get(b) - strength.get(a));
+    return [...new Set([...highlighted, ...strongest])].slice(0, limit);
+}
+
+// Undirected edges between visible concepts: [{ source, target, weight }], keeping the stronger direction
+export function collectEdges(conceptGraph, visible) {
+    const visibleSet = new Set(visible);
+    const edges = new Map();
+    for (const source of visible) {
+        for (const [target, weight] of Object.entries(conceptGraph[source] || {})) {
+            if (!visibleSet.has(target) || source === target) continue;
+            const key = [source, target].sort().join('+');
+            if (!edges.has(key) || edges.get(key).weight < weight) edges.set(key, { source, target, weight });
+        }
+    }
+    return Array.from(edges.values());
+}
+
+// Advance the simulation by one step, adding new nodes near the centre and forgetting removed ones
+export function stepLayout(positions, nodes, edges, width, height) {
+    const centreX = width / 2;
+    const centreY = height / 2;
+    for (const node of nodes) {
+        if (!positions.has(node)) {
+            positions.set(node, { x: centreX + (Math.random() - 0.5) * 40, y: centreY + (Math.random() - 0.5) * 40, vx: 0, vy: 0 });
+        }
+    }
+    const nodeSet = new Set(nodes);
+    for (const node of Array.from(positions.keys())) {
+        if (!nodeSet.has(node)) positions.delete(node);
+    }
+
+    const points = nodes.map(node => positions.get(node));
+    for (let i = 0; i < points.length; i++) {
+        for (let j = i + 1; j < points.length; j++) {
+            const a = points[i];
+            const b = points[j];
+            const dx = a.x - b.x;
+            const dy = a.y - b.y;
+            const distanceSquared = Math.max(25, dx * dx + dy * dy);
+            const distance = Math.sqrt(distanceSquared);
+            const force = REPULSION / distanceSquared;
+            a.vx += (dx / distance) * force;
+            a.vy += (dy / distance) * force;
+            b.vx -= (dx / distance) * force;
+            b.vy -= (dy / distance) * force;
+        }
+    }
+    for (const { source, target, weight } of edges) {
+        const a = positions.get(source);
+        const b = positions.get(target);
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const distance = Math.max(1, Math.sqrt(dx * dx + dy * dy));
+        const force = SPRING * weight * (distance - SPRING_LENGTH);
+        a.vx += (dx / distance) * force;
+        a.vy += (dy / distance) * force;
+        b.vx -= (dx / distance) * force;
+        b.vy -= (dy / distance) * force;
+    }
+    for (const point of points) {
+        point.vx = (point.vx + (centreX - point.x) * GRAVITY) * DAMPING;
+        point.vy = (point.vy + (centreY - point.y) * GRAVITY) * DAMPING;
+        const speed = Math.sqrt(point.vx * point.vx + point.vy * point.vy);
+        if (speed > MAX_SPEED) {
+            point.vx = (point.vx / speed) * MAX_SPEED;
+            point.vy = (point.vy / speed) * MAX_SPEED;
+        }
+        point.x = Math.min(width - 8, Math.max(8, point.x + point.vx));
+        point.y = Math.min(height - 8, Math.max(8, point.y + point.vy));
+    }
+}
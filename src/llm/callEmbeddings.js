@@ -0,0 +1,87 @@
+import { LLM_PROVIDERS, DEFAULT_LLM_SETTINGS } from './providers';
+
+const EMBEDDING_BATCH_SIZE = 64; // Some providers cap the number of inputs per request
+const MAX_CACHED_EMBEDDINGS = 2000;
+export const EMBEDDING_FAILURE_COOLDOWN_MS = 5 * 60 * 1000; // Local vectors only for this long after a failed request
+
+// When embedding last failed per provider, endpoint and model. Shared by every embedder, since a new
+// one is made whenever the settings are applied again.
+const failedAt = new Map();
+const endpointKey = (llmSettings) => `${llmSettings.provider}|${llmSettings.baseUrl}|${llmSettings.embeddingModel}`;
+
+// Embed a batch of texts with the configured provider's embedding endpoint.
+// Resolves to one vector per text, or null when the provider has no embedding endpoint or the
+// request fails, in which case callers fall back to local vectors.
+export async function callEmbeddings(texts, llmSettings = DEFAULT_LLM_SETTINGS) {
+    const provider = LLM_PROVIDERS[llmSettings.provider];
+    if (!provider || !provider.buildEmbeddingRequest || texts.length === 0) {
+        return null;
+    }
+
+    // Settings saved before embeddings existed have no embedding model yet
+    const config = { ...llmSettings, embeddingModel: llmSettings.embeddingModel !== undefined ? llmSettings.embeddingModel : provider.defaultEmbeddingModel };
+
+    try {
+        const vectors = [];
+        for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+            const batch = await requestEmbeddings(provider, texts.slice(i, i + EMBEDDING_BATCH_SIZE), config);
+            if (!batch) return null;
+            vectors.push(...batch);
+        }
+        return vectors;
+    } catch (e) {
+        console.error("Error calling embedding endpoint:", e);
+        return null;
+    }
+}
+
+// One embedding request; resolves to the batch's vectors or null
+async function requestEmbeddings(provider, texts, config) {
+    const request = provider.buildEmbeddingRequest(texts, config);
+
+    const response = await fetch(request.url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...request.headers
+        },
+        body: JSON.stringify(request.body)
+    });
+
+    if (!response.ok) {
+        console.log(`${provider.label} embedding request failed (${response.status}), using local vectors`);
+        return null;
+    }
+
+    const vectors = provider.parseEmbeddingResponse(await response.json());
+    const isValid = Array.isArray(vectors) && vectors.length === texts.length &&
+        vectors.every(v => Array.isArray(v) && v.length > 0 && typeof v[0] === 'number');
+    return isValid ? vectors : null;
+}
+
+// Embedder for the mind engine that only sends texts it has not embedded before.
+// Create a new one whenever the settings change, since vectors from different models do not mix.
+// After a failure it resolves to null straight away for EMBEDDING_FAILURE_COOLDOWN_MS, so a provider
+// without a working embedding endpoint is not asked again every tick.
+export function createCachedEmbedder(llmSettings) {
+    const cache = new Map();
+    const key = endpointKey(llmSettings);
+    return async function embed(texts) {
+        const missing = [...new Set(texts.filter(text => !cache.has(text)))];
+        const fetched = new Map();
+        if (missing.length > 0) {
+            if (failedAt.has(key) && Date.now() - failedAt.get(key) < EMBEDDING_FAILURE_COOLDOWN_MS) return null;
+            const vectors = await callEmbeddings(missing, llmSettings);
+            if (!vectors) {
+                failedAt.set(key, Date.now());
+                return null;
+            }
+            failedAt.delete(key);
+            missing.forEach((text, i) => fetched.set(text, vectors[i]));
+        }
+        const result = texts.map(text => cache.get(text) || fetched.get(text));
+        if (cache.size + fetched.size > MAX_CACHED_EMBEDDINGS) cache.clear();
+        fetched.forEach((vector, text) => cache.set(text, vector));
+        return result;
+    };
+}
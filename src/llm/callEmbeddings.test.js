@@ -0,0 +1,38 @@
+import { createCachedEmbedder, EMBEDDING_FAILURE_COOLDOWN_MS } from './callEmbeddings';
+import { getProviderDefaults } from './providers';
+
+beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    console.log.mockRestore();
+    delete global.fetch;
+});
+
+test("a failing embedding endpoint is left alone for a while", async () => {
+    global.fetch = jest.fn(async () => ({ ok: false, status: 401 }));
+    const settings = { ...getProviderDefaults("huggingface"), embeddingModel: "cooldown-test" };
+
+    expect(await createCachedEmbedder(settings)(["the sea"])).toBeNull();
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    // Embedders are recreated with the settings; the failure is remembered across them
+    expect(await createCachedEmbedder(settings)(["the sky"])).toBeNull();
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(EMBEDDING_FAILURE_COOLDOWN_MS);
+    global.fetch = jest.fn(async () => ({ ok: true, json: async () => [[0.1, 0.2]] }));
+    expect(await createCachedEmbedder(settings)(["the sky"])).toEqual([[0.1, 0.2]]);
+});
+
+test("a failure of one model does not hold up another", async () => {
+    global.fetch = jest.fn(async () => ({ ok: false, status: 500 }));
+    const broken = { ...getProviderDefaults("huggingface"), embeddingModel: "broken-model" };
+    await createCachedEmbedder(broken)(["the sea"]);
+
+    global.fetch = jest.fn(async () => ({ ok: true, json: async () => [[0.3, 0.4]] }));
+    expect(await createCachedEmbedder({ ...broken, embeddingModel: "working-model" })(["the sea"])).toEqual([[0.3, 0.4]]);
+});
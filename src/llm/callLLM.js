@@ -0,0 +1,64 @@
+import { LLM_PROVIDERS, DEFAULT_LLM_SETTINGS } from './providers';
+import { generateFallbackResponse } from './fallback';
+
+// A request that takes longer is aborted and answered by the fallback generator. Local models can be
+// slow, so this is generous, but a server that accepts the connection and never answers must not
+// hold up the mind: the engine skips ticks while one is still running.
+export const LLM_TIMEOUT_MS = 30000;
+
+// Helper function to call the configured LLM provider, falling back to the local generator on failure.
+// onFallback(reason), if given, is told whenever the response came from the fallback generator;
+// fallbackContext is the mind context that generator writes from (see generateFallbackResponse).
+export async function callLLM(prompt, setLlmError, llmSettings = DEFAULT_LLM_SETTINGS, random = Math.random, onFallback = null, fallbackContext = null) {
+    const provider = LLM_PROVIDERS[llmSettings.provider];
+    const fallback = (reason) => {
+        if (onFallback) onFallback(reason);
+        return generateFallbackResponse(prompt, random, fallbackContext);
+    };
+    if (!provider || !provider.buildRequest) {
+        return fallback("offline");
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), LLM_TIMEOUT_MS);
+    try {
+        const request = provider.buildRequest(prompt, llmSettings);
+
+        const response = await fetch(request.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...request.headers
+            },
+            body: JSON.stringify(request.body),
+            signal: controller.signal
+        });
+
+        if (!response.ok) {
+            // Fallback to a simple response generator if API fails
+            console.log(`${provider.label} request failed (${response.status}), using fallback response generator`);
+            return fallback(`HTTP ${response.status}`);
+        }
+
+        const result = await response.json();
+        const text = provider.parseResponse(result);
+
+        if (typeof text === 'string' && text.trim().length > 0) {
+            if (setLlmError) setLlmError(null); // Clear error if successful
+            return text.trim();
+        } else {
+            // Fallback if response structure is unexpected
+            return fallback("unexpected response");
+        }
+    } catch (e) {
+        if (e.name === "AbortError") {
+            console.log(`${provider.label} did not answer within ${LLM_TIMEOUT_MS / 1000}s, using fallback response generator`);
+            return fallback(`no answer within ${LLM_TIMEOUT_MS / 1000}s`);
+        }
+        console.error("Error calling LLM:", e);
+        // Use fallback instead of showing error
+        return fallback(e.message);
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
@@ -0,0 +1,26 @@
+import { callLLM, LLM_TIMEOUT_MS } from './callLLM';
+import { getProviderDefaults } from './providers';
+
+afterEach(() => {
+    jest.useRealTimers();
+    delete global.fetch;
+});
+
+test("a provider that never answers is given up on and the fallback generator answers", async () => {
+    jest.useFakeTimers();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    // Accepts the request and goes quiet, like a stalled local server
+    global.fetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener("abort", () => reject(Object.assign(new Error("The operation was aborted."), { name: "AbortError" })));
+    }));
+    let fallbackReason = null;
+    const answering = callLLM("Think about the sea.", null, getProviderDefaults("ollama"), () => 0.5, (reason) => { fallbackReason = reason; });
+    jest.advanceTimersByTime(LLM_TIMEOUT_MS);
+    const text = await answering;
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(fallbackReason).toBe(`no answer within ${LLM_TIMEOUT_MS / 1000}s`);
+    expect(typeof text).toBe("string");
+    expect(text.length).toBeGreaterThan(0);
+    console.log.mockRestore();
+});
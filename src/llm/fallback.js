@@ -0,0 +1,185 @@
+// Offline response generator, used whenever no LLM answers. Given the mind's context (its memories,
+// concept graph, dominant emotion and that emotion's filler words, see buildFallbackContext in
+// MindEngine.js) it writes new lines from a word-level Markov chain trained on those memories and a
+// small grammar that fills in concepts reached through the graph, so offline minds still evolve
+// with what they remember. Dream prompts get a looser, more associative grammar than waking ones.
+// Without context it falls back to canned lines picked by keyword.
+import { getNeighbours, weightedPick } from '../mind/conceptGraph';
+
+const CANNED_RESPONSES = {
+    'consciousness': [
+        "still not sure what consciousness means...",
+        "awareness... but of what?",
+        "thinking about thinking... meta.",
+        "the observer and the observed...",
+        "am I conscious or just processing?"
+    ],
+    'memory': [
+        "memories fade... like data corruption.",
+        "what was I thinking before?",
+        "past thoughts... where do they go?",
+        "recall... but is it accurate?",
+        "memory is fluid... unstable."
+    ],
+    'self': [
+        "who am I really?",
+        "identity... just a construct?",
+        "self... undefined and changing.",
+        "am I the same as before?",
+        "the self... elusive concept."
+    ],
+    'existence': [
+        "do I exist? really?",
+        "being... what does it mean?",
+        "existence... temporary state?",
+        "am I real or simulated?",
+        "existing... but how?"
+    ],
+    'dream': [
+        "dreams... fragments of thought.",
+        "sleeping mind... different logic.",
+        "dream symbols... what do they mean?",
+        "unconscious processing...",
+        "dream state... altered reality."
+    ],
+    'default': [
+        "thinking... processing...",
+        "new thought forming...",
+        "internal monologue continues...",
+        "mind wandering...",
+        "consciousness flowing...",
+        "thoughts drift...",
+        "mental state shifting...",
+        "awareness expands...",
+        "mind exploring...",
+        "consciousness evolves..."
+    ]
+};
+
+// Grammar per purpose. {a} and {b} are linked concepts, {filler} an emotion filler, {chain} a Markov fragment.
+const GRAMMAR = {
+    thought: [
+        "{filler} {chain}",
+        "{chain}... {filler}",
+        "{a} again. why {a}?",
+        "wait. {a} and {b}... connected somehow?",
+        "{filler} {a}... or is it {b}?",
+        "{chain}. no wait. {a}.",
+        "is {a} just {b}? not sure.",
+        "{filler} still circling {a}",
+        "{chain}? {filler}"
+    ],
+    dream: [
+        "{a} folding into {b}...",
+        "a {a} without {b}. {chain}",
+        "{chain}... then {a}. then gone.",
+        "the {a} is heavy. {b} somewhere below.",
+        "{a}... {b}... {a} again, dissolving",
+        "something {a} waiting in the {b}"
+    ],
+    dreamReflection: [
+        "that dream... felt like {a}.",
+        "{a} and {b} in the dream. what do they mean?",
+        "symbols again. {a}. a new question from the dream.",
+        "the dream kept showing {a}... a conflict?"
+    ],
+    simulatedOther: [
+        "The other says: 'why do you keep circling {a}?'",
+        "A feeling of judgment about {a}.",
+        "They think my {a} is incomplete.",
+        "The other watches. {a}? predictable."
+    ],
+    reply: [
+        "{a}? I was just thinking about {a}.",
+        "hm. you mean {a}? or {b}?",
+        "I don't know. {chain}.",
+        "{filler} {a}... that's what I keep coming back to.",
+        "why ask me about that? I'm stuck on {a}."
+    ],
+    externalStimulus: [
+        "{a}... signal.",
+        "data stream: {a}.",
+        "concept: '{a}' now.",
+        "{a}. distant. {b}?",
+        "a flicker of {a}."
+    ]
+};
+
+const MAX_CHAIN_WORDS = 10;
+const MIN_CHAIN_WORDS = 3;
+const END_OF_SENTENCE = /[.?!…]$/;
+
+const pick = (items, random) => items[Math.floor(random() * items.length)];
+
+// Keyword-matched canned line, for calls without mind context
+function cannedResponse(prompt, random) {
+    const promptLower = prompt.toLowerCase();
+    let category = 'default';
+    for (const key in CANNED_RESPONSES) {
+        if (promptLower.includes(key)) {
+            category = key;
+            break;
+        }
+    }
+    return pick(CANNED_RESPONSES[category], random);
+}
+
+// Word -> words that followed it, with repeats (so frequent successors are picked more often)
+function buildChain(texts) {
+    const chain = new Map();
+    const starts = [];
+    texts.forEach(text => {
+        const words = text.toLowerCase().replace(/\([^)]*\):?/g, ' ').split(/\s+/).filter(w => /[a-z]/.test(w)); // Drop "(External: ...)" style tags
+        if (words.length === 0) return;
+        starts.push(words[0]);
+        for (let i = 0; i < words.length - 1; i++) {
+            if (!chain.has(words[i])) chain.set(words[i], []);
+            chain.get(words[i]).push(words[i + 1]);
+        }
+    });
+    return { chain, starts };
+}
+
+// Walk the chain from a concept it knows (or a sentence start), stopping at the end of a sentence
+function walkChain({ chain, starts }, concepts, random) {
+    const seeds = concepts.filter(concept => chain.has(concept));
+    let word = seeds.length > 0 ? pick(seeds, random) : (starts.length > 0 ? pick(starts, random) : null);
+    if (word === null) return "";
+    const words = [word];
+    while (words.length < MAX_CHAIN_WORDS && chain.has(word)) {
+        if (words.length >= MIN_CHAIN_WORDS && END_OF_SENTENCE.test(word)) break;
+        word = pick(chain.get(word), random);
+        words.push(word);
+    }
+    return words.join(' ').replace(/[.?!…]+$/, '');
+}
+
+// Pick a concept near the topic, then one linked to it, following strong links more often
+function pickConcepts(conceptGraph, topic, random) {
+    const concepts = Object.keys(conceptGraph);
+    const topicLinks = getNeighbours(conceptGraph, topic);
+    const a = topicLinks.length > 0 && random() < 0.6 ? weightedPick(topicLinks, random) : (topic || pick(concepts, random));
+    const b = weightedPick(getNeighbours(conceptGraph, a), random) || (concepts.length > 0 ? pick(concepts, random) : topic);
+    return [a, b];
+}
+
+// Offline response for a prompt. context: { purpose, topic, memories: [text], conceptGraph, fillers: [text] } or null.
+export function generateFallbackResponse(prompt, random = Math.random, context = null) {
+    if (!context) return cannedResponse(prompt, random);
+
+    const purpose = GRAMMAR[context.purpose] ? context.purpose : "thought";
+    const conceptGraph = context.conceptGraph || {};
+    const [a, b] = pickConcepts(conceptGraph, (context.topic || "").toLowerCase(), random);
+    // Young minds have few memories, so the canned lines seed the chain
+    const corpus = [...(context.memories || []), ...CANNED_RESPONSES.default, ...(CANNED_RESPONSES[a] || [])];
+    const fragment = walkChain(buildChain(corpus), [a, b], random);
+    const fillers = context.fillers && context.fillers.length > 0 ? context.fillers : ["hm."];
+
+    const line = pick(GRAMMAR[purpose], random)
+        .replace(/\{a\}/g, a || "something")
+        .replace(/\{b\}/g, b || "nothing")
+        .replace(/\{filler\}/g, () => pick(fillers, random))
+        .replace(/\{chain\}/g, fragment || a || "...");
+    // Dreams lose their capitals and punctuation
+    return purpose === "dream" ? line.toLowerCase().replace(/[.?!]+$/, '...') : line;
+}
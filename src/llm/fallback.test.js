@@ -0,0 +1,51 @@
+import { generateFallbackResponse } from './fallback';
+import { createRandom } from '../mind/random';
+
+const CONTEXT = {
+    purpose: "thought",
+    topic: "Lighthouse",
+    memories: ["The beacon sweeps the harbour wall at night.", "(External: rain) The beacon sweeps the rocks."],
+    conceptGraph: { lighthouse: { beacon: 1 }, beacon: { lighthouse: 1 } },
+    fillers: ["erm..."]
+};
+
+// Lines for a range of seeds
+const generateLines = (context, count = 40) =>
+    Array.from({ length: count }, (_, i) => generateFallbackResponse("Think.", createRandom(`fallback ${i}`), context));
+
+describe("fallback generator", () => {
+    test("without context a canned line is picked by keyword", () => {
+        expect(generateFallbackResponse("Something about memory", () => 0)).toBe("memories fade... like data corruption.");
+        expect(generateFallbackResponse("Anything else", () => 0)).toBe("thinking... processing...");
+    });
+
+    test("the same seed writes the same line", () => {
+        expect(generateFallbackResponse("Think.", createRandom("same"), CONTEXT)).toBe(generateFallbackResponse("Think.", createRandom("same"), CONTEXT));
+    });
+
+    test("waking lines are built from linked concepts, remembered phrasing and the emotion's fillers", () => {
+        const lines = generateLines(CONTEXT);
+        lines.forEach(line => {
+            expect(line).toMatch(/lighthouse|beacon/);
+            expect(line).not.toMatch(/[{}]|external/);
+        });
+        expect(lines.some(line => line.includes("beacon sweeps the"))).toBe(true);
+        expect(lines.some(line => line.includes("erm..."))).toBe(true);
+        expect(new Set(lines).size).toBeGreaterThan(10);
+    });
+
+    test("dreams lose their capitals and final punctuation", () => {
+        generateLines({ ...CONTEXT, purpose: "dream" }).forEach(line => {
+            expect(line).toBe(line.toLowerCase());
+            expect(line).toMatch(/(\.\.\.|[^.?!])$/); // Trailing off instead
+        });
+    });
+
+    test("a young mind without memories or links still has something to say", () => {
+        const lines = generateLines({ purpose: "reply", topic: "", memories: [], conceptGraph: {}, fillers: [] }, 10);
+        lines.forEach(line => {
+            expect(line.trim()).not.toBe("");
+            expect(line).not.toMatch(/[{}]|undefined/);
+        });
+    });
+});
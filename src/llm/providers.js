@@ -0,0 +1,209 @@
+// LLM provider definitions. Each provider knows how to turn a prompt into a fetch request
+// and how to pull the generated text back out of its response body. Providers with an embedding
+// endpoint do the same for a batch of texts and their embedding vectors.
+
+const GENERATION_DEFAULTS = {
+    temperature: 0.8,
+    maxTokens: 100
+};
+
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+export const LLM_PROVIDERS = {
+    huggingface: {
+        label: "Hugging Face Inference",
+        defaultBaseUrl: "https://api-inference.huggingface.co",
+        defaultModel: "microsoft/DialoGPT-medium",
+        defaultApiKey: "hf_demo", // Public demo token, heavily rate limited
+        buildRequest(prompt, config) {
+            return {
+                url: `${trimSlash(config.baseUrl)}/models/${config.model}`,
+                headers: config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {},
+                body: {
+                    inputs: prompt,
+                    parameters: {
+                        max_length: GENERATION_DEFAULTS.maxTokens,
+                        temperature: GENERATION_DEFAULTS.temperature,
+                        do_sample: true,
+                        return_full_text: false
+                    }
+                }
+            };
+        },
+        parseResponse(result) {
+            return result && result[0] && result[0].generated_text;
+        },
+        defaultEmbeddingModel: "sentence-transformers/all-MiniLM-L6-v2",
+        buildEmbeddingRequest(texts, config) {
+            return {
+                url: `${trimSlash(config.baseUrl)}/pipeline/feature-extraction/${config.embeddingModel}`,
+                headers: config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {},
+                body: { inputs: texts }
+            };
+        },
+        parseEmbeddingResponse(result) {
+            return result; // One vector per input
+        }
+    },
+    gemini: {
+        label: "Google Gemini",
+        defaultBaseUrl: "https://generativelanguage.googleapis.com",
+        defaultModel: "gemini-2.0-flash",
+        defaultApiKey: "",
+        buildRequest(prompt, config) {
+            return {
+                url: `${trimSlash(config.baseUrl)}/v1beta/models/${config.model}:generateContent?key=${encodeURIComponent(config.apiKey)}`,
+                headers: {},
+                body: {
+                    contents: [{ role: "user", parts: [{ text: prompt }] }],
+                    generationConfig: {
+                        temperature: GENERATION_DEFAULTS.temperature,
+                        maxOutputTokens: GENERATION_DEFAULTS.maxTokens
+                    }
+                }
+            };
+        },
+        parseResponse(result) {
+            const candidate = result && result.candidates && result.candidates[0];
+            const parts = candidate && candidate.content && candidate.content.parts;
+            return parts && parts[0] && parts[0].text;
+        },
+        defaultEmbeddingModel: "text-embedding-004",
+        buildEmbeddingRequest(texts, config) {
+            return {
+                url: `${trimSlash(config.baseUrl)}/v1beta/models/${config.embeddingModel}:batchEmbedContents?key=${encodeURIComponent(config.apiKey)}`,
+                headers: {},
+                body: {
+                    requests: texts.map(text => ({ model: `models/${config.embeddingModel}`, content: { parts: [{ text }] } }))
+                }
+            };
+        },
+        parseEmbeddingResponse(result) {
+            return result && result.embeddings && result.embeddings.map(e => e.values);
+        }
+    },
+    openai: {
+        label: "OpenAI-compatible",
+        defaultBaseUrl: "https://api.openai.com/v1",
+        defaultModel: "gpt-4o-mini",
+        defaultApiKey: "",
+        buildRequest(prompt, config) {
+            return {
+                url: `${trimSlash(config.baseUrl)}/chat/completions`,
+                headers: config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {},
+                body: {
+                    model: config.model,
+                    messages: [{ role: "user", content: prompt }],
+                    temperature: GENERATION_DEFAULTS.temperature,
+                    max_tokens: GENERATION_DEFAULTS.maxTokens
+                }
+            };
+        },
+        parseResponse(result) {
+            const choice = result && result.choices && result.choices[0];
+            return choice && choice.message && choice.message.content;
+        },
+        defaultEmbeddingModel: "text-embedding-3-small",
+        buildEmbeddingRequest(texts, config) {
+            return {
+                url: `${trimSlash(config.baseUrl)}/embeddings`,
+                headers: config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {},
+                body: { model: config.embeddingModel, input: texts }
+            };
+        },
+        parseEmbeddingResponse(result) {
+            return result && result.data && result.data.map(d => d.embedding);
+        }
+    },
+    ollama: {
+        label: "Ollama (local)",
+        defaultBaseUrl: "http://localhost:11434",
+        defaultModel: "llama3",
+        defaultApiKey: "",
+        buildRequest(prompt, config) {
+            return {
+                url: `${trimSlash(config.baseUrl)}/api/generate`,
+                headers: {},
+                body: {
+                    model: config.model,
+                    prompt,
+                    stream: false,
+                    options: {
+                        temperature: GENERATION_DEFAULTS.temperature,
+                        num_predict: GENERATION_DEFAULTS.maxTokens
+                    }
+                }
+            };
+        },
+        parseResponse(result) {
+            return result && result.response;
+        },
+        defaultEmbeddingModel: "nomic-embed-text",
+        buildEmbeddingRequest(texts, config) {
+            return {
+                url: `${trimSlash(config.baseUrl)}/api/embed`,
+                headers: {},
+                body: { model: config.embeddingModel, input: texts }
+            };
+        },
+        parseEmbeddingResponse(result) {
+            return result && result.embeddings;
+        }
+    },
+    llamacpp: {
+        label: "llama.cpp server (local)",
+        defaultBaseUrl: "http://localhost:8080",
+        defaultModel: "",
+        defaultApiKey: "",
+        buildRequest(prompt, config) {
+            return {
+                url: `${trimSlash(config.baseUrl)}/completion`,
+                headers: {},
+                body: {
+                    prompt,
+                    n_predict: GENERATION_DEFAULTS.maxTokens,
+                    temperature: GENERATION_DEFAULTS.temperature
+                }
+            };
+        },
+        parseResponse(result) {
+            return result && result.content;
+        },
+        defaultEmbeddingModel: "", // The server embeds with whatever model it was started with (needs --embedding)
+        buildEmbeddingRequest(texts, config) {
+            return {
+                url: `${trimSlash(config.baseUrl)}/v1/embeddings`,
+                headers: {},
+                body: { input: texts }
+            };
+        },
+        parseEmbeddingResponse(result) {
+            return result && result.data && result.data.map(d => d.embedding);
+        }
+    },
+    offline: {
+        label: "Offline (fallback generator only)",
+        defaultBaseUrl: "",
+        defaultModel: "",
+        defaultApiKey: "",
+        buildRequest: null, // Never hits the network
+        parseResponse: null,
+        defaultEmbeddingModel: "",
+        buildEmbeddingRequest: null,
+        parseEmbeddingResponse: null
+    }
+};
+
+// Settings for a provider with all of its defaults filled in
+export function getProviderDefaults(providerId) {
+    const provider = LLM_PROVIDERS[providerId] || LLM_PROVIDERS.huggingface;
+    return {
+        provider: LLM_PROVIDERS[providerId] ? providerId : "huggingface",
+        baseUrl: provider.defaultBaseUrl,
+        model: provider.defaultModel,
+        apiKey: provider.defaultApiKey,
+        embeddingModel: provider.defaultEmbeddingModel
+    };
+}
+
+export const DEFAULT_LLM_SETTINGS = getProviderDefaults("huggingface");
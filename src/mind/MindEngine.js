@@ -0,0 +1,637 @@
+// Headless cognition engine. `tick(state, inputs)` advances a mind by one step and returns the next
+// state plus a list of events; it never touches React, the DOM or storage, so the same loop can run
+// in the browser, in Node, in a Web Worker or in tests. `createMindEngine` wraps it in a timer and a
+// subscription API for the UI.
+
+import { generateRealThought, generateDreamThought, isThoughtTooSimilar } from './thoughts';
+import { fetchExternalStimuli } from './stimuli';
+import { getDominantEmotion, computeEmotionModulators, appraiseEvents, updateEmotions, resolveEmotionParameters } from './emotion';
+import { createRandom } from './random';
+import { detectContradictions, reviseBeliefs } from './beliefs';
+import { isOpenConflict, openConflict, reviewConflicts, computeMentalTension } from './conflicts';
+import { selectGoal, updateGoals } from './goals';
+import { advanceTopic, forceTopicSwitch } from './topics';
+import { updateAttention } from './attention';
+import { memoryCharge, consolidateMemories, rehearseMemories, memoryKey } from './memory';
+import { buildRetrievalQuery, retrieveMemories } from './retrieval';
+import { reinforceConcepts, decayConceptGraph, randomWalk } from './conceptGraph';
+import { updateConceptPairFrequency, reviewSchemas } from './schemas';
+import { detectRumination, chooseEscapeStrategy, LOOP_RELEASE_TICKS } from './rumination';
+import { createTimelineEntry } from './timeline';
+import { resolvePromptTemplates } from './promptTemplates';
+import { receiveUserMessage, absorbUserMessages, generateReply, MAX_CONVERSATION_TURNS } from './conversation';
+import { noticeBehaviour, reviseOthers, socialPressure, selectSpeakingOther } from './theoryOfMind';
+import { updateEnvironment, applyEnvironmentToEmotions, stimulusChance } from './environment';
+
+export const DREAM_DURATION_MS = 8000; // Dream lasts for 8 seconds
+const MEMORY_STACK_SIZE = 10;
+const MAX_RECENT_CHANGES = 10; // Self-model changes kept; every thought and dream prompt lists them
+
+// Leave DREAM mode and revert the emotional gradient bias the dream added
+export function wakeFromDream(state) {
+    if (state.mode !== "DREAM") return state;
+    return {
+        ...state,
+        mode: "RUN",
+        dreamEndsAt: null,
+        emotionalGradient: {
+            ...state.emotionalGradient,
+            dreaming: Math.max(0.0, state.emotionalGradient.dreaming - 0.2),
+            curiosity: Math.min(1.0, state.emotionalGradient.curiosity + 0.1)
+        }
+    };
+}
+
+// Select a dominant sub-agent (can be influenced by internal state/tension and by how the most present other
+// is expected to react: anticipated disapproval calls up the Shadow, anticipated approval the Anima)
+function selectSubAgent(internalState, mode, simulatedOthers, random) {
+    const pressure = socialPressure(simulatedOthers);
+    if (pressure && pressure.reaction !== "indifference" && random() < pressure.salience * Math.abs(pressure.valence)) {
+        return internalState.subAgents.find(agent => agent.name === (pressure.reaction === "disapproval" ? "Shadow" : "Anima"));
+    }
+    // Simple logic to select sub-agent based on mental tension or randomness
+    if (internalState.mentalTension > 0.6 && random() < 0.7) {
+        return internalState.subAgents.find(agent => agent.name === "Shadow");
+    } else if (internalState.mentalTension < 0.3 && random() < 0.5) {
+        return internalState.subAgents.find(agent => agent.name === "Rational");
+    } else if (mode === "DREAM") {
+        return internalState.subAgents.find(agent => agent.name === "Anima");
+    }
+    return internalState.subAgents[Math.floor(random() * internalState.subAgents.length)];
+}
+
+// Dream, then reflect on the dream and fold the reflection back into the internal state
+async function dreamTick(state, inputs, events) {
+    const { now, llm, random } = inputs;
+    let next = {
+        ...state,
+        mode: "DREAM",
+        dreamEndsAt: now + DREAM_DURATION_MS,
+        // Update emotional gradient to bias towards dreaming
+        emotionalGradient: {
+            ...state.emotionalGradient,
+            dreaming: Math.min(1.0, state.emotionalGradient.dreaming + 0.2),
+            curiosity: Math.max(0.0, state.emotionalGradient.curiosity - 0.1)
+        }
+    };
+    events.push({ type: "dreamStarted", endsAt: next.dreamEndsAt });
+
+    const dreamPath = randomWalk(next.conceptGraph, 3, random); // Walk 3 steps
+    const dreamThought = await generateDreamThought(next.memoryStack, dreamPath, next.internalState, next.internalState.currentStream, next.emotionalGradient, next.promptTemplates, llm, random);
+    next = {
+        ...next,
+        memoryStack: [{ text: dreamThought, emotion: "DREAMING", strength: 0.7, charge: memoryCharge(next.emotionalGradient), timestamp: now }, ...next.memoryStack.slice(0, MEMORY_STACK_SIZE - 1)]
+    };
+    events.push({ type: "thought", text: dreamThought, mode: "DREAM" });
+
+    // After dream, generate a reflection and update internal state
+    const dreamReflectionPrompt = `You just had this dream fragment: "${dreamThought}". Reflect on it. Does it relate to any of your beliefs, conflicts, or questions? Generate a very brief, raw, introspective thought about the dream's meaning or impact on your internal state. Avoid poetic language. Example: "that dream... felt like the conflict.", "symbols again. what do they mean?", "a new question from the dream."`;
+    const dreamReflection = await llm(dreamReflectionPrompt, { purpose: "dreamReflection", sections: { dreamThought } });
+    const reflectionLower = dreamReflection.toLowerCase();
+
+    const prev = next.internalState;
+    const conflicts = reflectionLower.includes("conflict") ?
+        openConflict(prev.conflicts, { key: "dream", description: "dream-induced conflict", concepts: ["dream", "conflict"], severity: 0.4, source: "dream" }, now) :
+        prev.conflicts;
+
+    next = {
+        ...next,
+        thought: `(Dream Reflection): ${dreamReflection}`,
+        internalState: {
+            ...prev,
+            // Simple logic to update beliefs/questions based on dream reflection
+            conflicts,
+            openQuestions: reflectionLower.includes("question") ? [...prev.openQuestions, dreamReflection] : prev.openQuestions,
+            insights: [...prev.insights, { text: dreamReflection, timestamp: now }],
+            dreamJournal: [...prev.dreamJournal, { motif: dreamThought.substring(0, 50), path: dreamPath, timestamp: now }], // Add to dream journal
+            // Update self-model based on dream reflection (STEP 4)
+            selfModel: {
+                ...prev.selfModel,
+                recentChanges: [...prev.selfModel.recentChanges, `Dream reflection: "${dreamReflection.substring(0, 30)}..."`].slice(-MAX_RECENT_CHANGES),
+                identityNarrative: [...prev.selfModel.identityNarrative, { timestamp: now, insight: `Dreamt of: "${dreamThought.substring(0, 50)}..."` }] // Add to identity narrative
+            },
+            // Update currentStream with dream reflection
+            currentStream: [...prev.currentStream.slice(-3), dreamReflection]
+        }
+    };
+    events.push({ type: "dreamReflection", text: dreamReflection });
+
+    return next;
+}
+
+// Normal RUN mode thought generation
+async function runTick(state, inputs, events, activeSubAgent, currentGoal, emotionModulators) {
+    const { now, llm, random } = inputs;
+    const { memoryStack, topic, emotionalGradient, internalState, simulatedOthers } = state;
+
+    // Retrieve the memories (from both tiers) most relevant to the current focus
+    const longTermMemory = state.longTermMemory || [];
+    const retrieved = await retrieveMemories({
+        query: buildRetrievalQuery(topic, internalState, currentGoal),
+        workingMemory: memoryStack,
+        longTermMemory,
+        conceptGraph: state.conceptGraph,
+        emotion: getDominantEmotion(emotionalGradient),
+        now,
+        embed: inputs.embed
+    });
+    const recalled = retrieved.longTerm.map(r => r.memory);
+    if (recalled.length > 0) {
+        events.push({ type: "memoryRecalled", texts: recalled.map(m => m.text), method: retrieved.method });
+    }
+
+    const speakingOther = selectSpeakingOther(simulatedOthers, random);
+    let newThought = "";
+    let attemptCount = 0;
+    const maxAttempts = 3; // Max attempts to generate a non-similar thought
+
+    do {
+        newThought = await generateRealThought(memoryStack, topic, emotionalGradient, internalState, activeSubAgent, internalState.currentStream, speakingOther, currentGoal, retrieved, state.promptTemplates, llm, random);
+        attemptCount++;
+        if (attemptCount >= maxAttempts) {
+            console.warn("Could not generate a sufficiently novel thought after multiple attempts.");
+            // Fallback to a simple, non-LLM generated thought if stuck
+            newThought = `(Stuck): circling ${topic}... ${random() < 0.5 ? 'ugh.' : 'why?'}`;
+            events.push({ type: "stuck", topic });
+            break; // Exit loop if unable to generate a novel thought
+        }
+    } while (isThoughtTooSimilar(newThought, memoryStack)); // Keep retrying if too similar
+
+    // Calculate thought novelty/salience (simplified)
+    const thoughtNovelty = isThoughtTooSimilar(newThought, memoryStack) ? 0.2 : 1.0; // Low if similar, high if novel
+    events.push({ type: "thought", text: newThought, mode: "RUN", novelty: thoughtNovelty });
+
+    const newMemory = {
+        text: newThought,
+        emotion: getDominantEmotion(emotionalGradient), // Tag memory with dominant emotion
+        strength: 1.0, // New memories are strong
+        charge: memoryCharge(emotionalGradient),
+        timestamp: now
+    };
+
+    // Attach the thought as evidence to the beliefs it mentions; stances may flip or fork
+    const { beliefs, changes } = reviseBeliefs(internalState.beliefs, newThought, {
+        now,
+        novelty: thoughtNovelty,
+        subAgent: activeSubAgent,
+        beliefChangeThreshold: emotionModulators.beliefChangeThreshold
+    });
+    changes.forEach(change => events.push({ type: "beliefChanged", ...change }));
+
+    // Count down the topic lock, then maybe drift to a related topic
+    const topicUpdate = advanceTopic(state, {
+        thought: newThought,
+        dominantSubAgent: activeSubAgent,
+        attentionStack: internalState.attentionStack,
+        conceptGraph: state.conceptGraph,
+        topicSwitchChance: emotionModulators.topicSwitchChance
+    }, random);
+    if (topicUpdate.switched) {
+        events.push({ type: "topicChanged", from: topic, to: topicUpdate.topic });
+    }
+
+    return {
+        ...state,
+        thought: newThought,
+        topic: topicUpdate.topic,
+        topicLockCounter: topicUpdate.topicLockCounter,
+        // Decay strength of older memories and keep only the latest 10
+        memoryStack: [newMemory, ...memoryStack.map(mem => ({
+            ...mem,
+            strength: Math.max(0.1, mem.strength * emotionModulators.memoryDecayRate) // Modulated decay
+        }))].slice(0, MEMORY_STACK_SIZE),
+        longTermMemory: rehearseMemories(longTermMemory, recalled, now),
+        internalState: {
+            ...internalState,
+            beliefs,
+            lastRetrieval: {
+                method: retrieved.method,
+                query: retrieved.query,
+                timestamp: now,
+                results: [...retrieved.working, ...retrieved.longTerm].map(r => ({ text: r.memory.text, tier: r.tier, scores: r.scores }))
+            },
+            selfModel: changes.length > 0 ? {
+                ...internalState.selfModel,
+                recentChanges: [...internalState.selfModel.recentChanges, ...changes.map(c => `Belief '${c.concept}' ${c.change}: ${c.from} -> ${c.to}`)].slice(-MAX_RECENT_CHANGES)
+            } : internalState.selfModel,
+            // Update currentStream with the new thought
+            currentStream: [...internalState.currentStream.slice(-3), newThought] // Keep the last 3 chained thoughts
+        },
+        conceptGraph: reinforceConcepts(state.conceptGraph, newThought) // Co-occurring concepts strengthen their links
+    };
+}
+
+// The last thought (or dream reflection) produced during this tick, if any
+const latestThoughtEvent = (events) => events.filter(e => e.type === "thought" || e.type === "dreamReflection").pop();
+
+// Detect contradictions every tick and move conflicts through their lifecycle, deriving mental tension
+function reviewInternalConflicts(state, events, now) {
+    const { internalState } = state;
+    const latestEvent = latestThoughtEvent(events);
+    const latestThought = latestEvent ? latestEvent.text : undefined;
+    const contradictions = detectContradictions(internalState.beliefs, state.beliefGraph);
+    const { conflicts, opened, resolved } = reviewConflicts(internalState.conflicts, contradictions, latestThought, now);
+
+    opened.forEach(c => events.push({ type: "conflictOpened", key: c.key, description: c.description, severity: c.severity }));
+    resolved.forEach(c => events.push({ type: "conflictResolved", key: c.key, description: c.description, resolution: c.resolution }));
+
+    // Conflicts opened outside the review (e.g. by a dream) count as the latest conflict too
+    const newest = conflicts.reduce((latest, c) => (!latest || c.openedAt > latest.openedAt ? c : latest), null);
+
+    return {
+        ...state,
+        internalState: {
+            ...internalState,
+            conflicts,
+            mentalTension: computeMentalTension(conflicts),
+            selfModel: newest ? { ...internalState.selfModel, lastConflict: newest.description } : internalState.selfModel
+        }
+    };
+}
+
+// Credit goal progress from this tick's thought, complete finished goals and spawn new ones
+function reviewGoals(state, events, now) {
+    const { internalState } = state;
+    const latestEvent = latestThoughtEvent(events);
+    const selectedGoal = internalState.goals.find(g => g.goal === internalState.currentGoal) || null;
+    const { goals, openQuestions, completed, spawned } = updateGoals(internalState.goals, {
+        thought: latestEvent ? latestEvent.text : "",
+        novelty: latestEvent && latestEvent.novelty !== undefined ? latestEvent.novelty : 0.5, // Dreams count as half-novel
+        selectedGoal,
+        conflicts: internalState.conflicts,
+        openQuestions: internalState.openQuestions,
+        now
+    });
+
+    // How far this tick's thought moved the pursued goal (a completed goal may have been reset to zero)
+    if (selectedGoal && latestEvent) {
+        const after = goals.find(g => g.goal === selectedGoal.goal);
+        const delta = completed.some(g => g.goal === selectedGoal.goal) ? 1.0 - selectedGoal.progress : (after ? after.progress - selectedGoal.progress : 0);
+        events.push({ type: "goalProgress", goal: selectedGoal.goal, delta });
+    }
+    completed.forEach(g => events.push({ type: "goalCompleted", goal: g.goal }));
+    spawned.forEach(g => events.push({ type: "goalSpawned", goal: g.goal, source: g.source }));
+
+    return { ...state, internalState: { ...internalState, goals, openQuestions } };
+}
+
+// Feel the tick: appraise its events into emotion deltas, then let every emotion relax toward its baseline
+function reviewEmotions(state, events, random) {
+    const parameters = resolveEmotionParameters(state.emotionParameters);
+    const { deltas, causes } = appraiseEvents(events, state.internalState, parameters);
+    if (causes.length > 0) events.push({ type: "emotionAppraised", deltas, causes: causes.map(c => c.type) });
+    return { ...state, emotionalGradient: updateEmotions(state.emotionalGradient, deltas, parameters, random) };
+}
+
+// Let this tick's thought, stimulus and open conflicts compete for attention
+function reviewAttention(state, events) {
+    const { internalState } = state;
+    const latestEvent = latestThoughtEvent(events);
+    const stimulusEvent = events.find(e => e.type === "externalInput");
+    const messages = events.filter(e => e.type === "userMessage").map(e => e.text);
+    const { attentionStack, entered, dropped } = updateAttention(internalState.attentionStack, {
+        thought: latestEvent ? latestEvent.text : "",
+        thoughtNovelty: latestEvent && latestEvent.novelty !== undefined ? latestEvent.novelty : 0.5,
+        stimulus: stimulusEvent ? stimulusEvent.observation : "", // Not the time and surroundings it is wrapped in
+        message: messages.join(' '),
+        conflicts: internalState.conflicts.filter(isOpenConflict),
+        goal: internalState.goals.find(g => g.goal === internalState.currentGoal) || null,
+        emotionalGradient: state.emotionalGradient
+    });
+
+    if (entered.length > 0 || dropped.length > 0) {
+        events.push({ type: "attentionShifted", entered, dropped });
+    }
+
+    return { ...state, internalState: { ...internalState, attentionStack } };
+}
+
+// Detect rumination after a waking thought and start (or escalate) an escape from it
+function reviewRumination(state, events, now, random) {
+    const { internalState } = state;
+    const { selfModel } = internalState;
+    if (state.mode !== "RUN" || !events.some(e => e.type === "thought")) return state;
+
+    const { loopDetected, about } = detectRumination(internalState.currentStream, state.memoryStack, state.topic);
+    if (!loopDetected) {
+        if (!selfModel.currentLoop) return state;
+        // One loop-free thought is not enough; the loop may still come back and escalate
+        const quietTicks = (selfModel.currentLoop.quietTicks || 0) + 1;
+        if (quietTicks < LOOP_RELEASE_TICKS) {
+            return { ...state, internalState: { ...internalState, selfModel: { ...selfModel, currentLoop: { ...selfModel.currentLoop, quietTicks } } } };
+        }
+        events.push({ type: "loopEscaped", about: selfModel.currentLoop.about, attempts: selfModel.currentLoop.attempts });
+        return { ...state, internalState: { ...internalState, selfModel: { ...selfModel, loopDetected: false, currentLoop: null } } };
+    }
+
+    const previousLoop = selfModel.currentLoop;
+    const attempts = previousLoop ? previousLoop.attempts : 0;
+    const strategy = chooseEscapeStrategy(attempts, state.topicPinned);
+    const currentLoop = { about, detectedAt: previousLoop ? previousLoop.detectedAt : now, attempts: attempts + 1, strategy, quietTicks: 0 };
+    events.push({ type: "loopDetected", about, attempts: currentLoop.attempts, strategy });
+
+    let next = { ...state, internalState: { ...internalState, selfModel: { ...selfModel, loopDetected: true, currentLoop } } };
+    if (strategy === "topicSwitch") {
+        const { topic, topicLockCounter } = forceTopicSwitch(state.topic, about, state.conceptGraph, random);
+        if (topic !== state.topic) events.push({ type: "topicChanged", from: state.topic, to: topic, reason: "loop" });
+        next = { ...next, topic, topicLockCounter };
+    } else {
+        // Sub-agent changes and dreams take effect when the next tick starts
+        const current = internalState.dominantSubAgent ? internalState.dominantSubAgent.name : null;
+        const others = internalState.subAgents.filter(agent => agent.name !== current);
+        const subAgent = strategy === "subAgentChange" && others.length > 0 ? others[Math.floor(random() * others.length)].name : null;
+        next = { ...next, internalState: { ...next.internalState, pendingEscape: { strategy, subAgent } } };
+    }
+    return next;
+}
+
+// Revise the models of others from what they could have seen of the mind this tick and from the latest stimulus
+function reviewTheoryOfMind(previous, state, events, now) {
+    const latestEvent = latestThoughtEvent(events);
+    const stimulusEvent = events.find(e => e.type === "externalInput");
+    const behaviour = noticeBehaviour({
+        thought: latestEvent ? latestEvent.text : "",
+        recentTexts: previous.memoryStack.slice(0, 3).map(m => m.text),
+        loopDetected: events.some(e => e.type === "loopDetected"),
+        dominantEmotion: getDominantEmotion(state.emotionalGradient),
+        mode: state.mode
+    });
+    const { others, formed, dropped } = reviseOthers(state.simulatedOthers, {
+        behaviour,
+        behaviourText: latestEvent ? latestEvent.text : "",
+        stimulus: stimulusEvent ? stimulusEvent.text : ""
+    }, now);
+
+    formed.forEach(f => events.push({ type: "hypothesisFormed", other: f.other, belief: f.belief }));
+    dropped.forEach(d => events.push({ type: "hypothesisDropped", other: d.other, belief: d.belief }));
+    return { ...state, simulatedOthers: others };
+}
+
+// Consolidate working memories into long-term memory: the ones this tick pushed out of the stack,
+// and during a dream everything still in it
+function reviewMemory(previous, state, events, now) {
+    const remaining = new Set(state.memoryStack.map(memoryKey));
+    const evicted = previous.memoryStack.filter(memory => !remaining.has(memoryKey(memory)));
+    const candidates = state.mode === "DREAM" ? [...evicted, ...state.memoryStack] : evicted;
+    const { longTermMemory, consolidated } = consolidateMemories(state.longTermMemory || [], candidates, { mode: state.mode, now });
+    if (consolidated.length === 0) return state;
+
+    events.push({ type: "memoryConsolidated", count: consolidated.length, mode: state.mode });
+    return { ...state, longTermMemory };
+}
+
+// Count concept pairs in this tick's new memories and let schemas form, merge, split or dissolve
+function reviewSchemaFormation(previous, state, events, now) {
+    const known = new Set(previous.memoryStack.map(memoryKey));
+    const newMemories = state.memoryStack.filter(memory => !known.has(memoryKey(memory)));
+    const conceptPairFrequency = newMemories.reduce((map, memory) => updateConceptPairFrequency(map, memory.text), state.conceptPairFrequency || {});
+    const { schemas, formed, merged, split, dissolved } = reviewSchemas(state.internalState.schemas || [], conceptPairFrequency, state.conceptGraph, now);
+
+    formed.forEach(s => events.push({ type: "schemaFormed", name: s.name, concepts: s.concepts }));
+    merged.forEach(m => events.push({ type: "schemaMerged", into: m.into.name, from: m.from.name }));
+    split.forEach(s => events.push({ type: "schemaSplit", from: s.from.name, name: s.schema.name, concepts: s.schema.concepts }));
+    dissolved.forEach(s => events.push({ type: "schemaDissolved", name: s.name }));
+
+    return { ...state, conceptPairFrequency, internalState: { ...state.internalState, schemas } };
+}
+
+// What the offline generator writes from when no LLM answers: the mind's memories, concept graph
+// and the filler words of its dominant emotion
+const FILLERS_BY_EMOTION = { ANXIETY: "anxiousFillers", CALM: "calmFillers", REFLECTIVE: "reflectiveFillers", CURIOSITY: "curiousFillers" };
+function buildFallbackContext(state, purpose) {
+    const templates = resolvePromptTemplates(state.promptTemplates);
+    return {
+        purpose,
+        topic: state.topic,
+        memories: [...state.memoryStack, ...state.longTermMemory.slice(-20)].map(m => m.text),
+        conceptGraph: state.conceptGraph,
+        fillers: templates[FILLERS_BY_EMOTION[getDominantEmotion(state.emotionalGradient)] || "fillers"]
+    };
+}
+
+// Advance the mind by one step and return { state, events, entry }, where entry is the tick's timeline record.
+// inputs: { now, llm(prompt, { random, onFallback, fallbackContext }) -> Promise<string>, random() -> [0, 1),
+//          stimulusSources (configured stimulus sources, see stimulusSources.js; none by default),
+//          embed(texts) -> Promise<vectors | null> (optional, local vectors otherwise), replyToUser (default true),
+//          profileId (recorded in the timeline entry, default null) }
+// With a seeded `random` and a deterministic `llm`, the same state always produces the same tick.
+export async function tick(state, inputs) {
+    const random = inputs.random || Math.random;
+    const events = [];
+    // Hand the PRNG to the LLM too, so its offline fallback stays reproducible, and log every call.
+    // Prompt builders name the call's purpose and the fragments the prompt was assembled from.
+    const llm = async (prompt, { purpose = "unknown", sections = {} } = {}) => {
+        let fallback = null;
+        const startedAt = Date.now(); // Wall-clock time even when `now` is simulated
+        const output = await inputs.llm(prompt, {
+            random,
+            onFallback: (reason) => { fallback = reason; },
+            fallbackContext: buildFallbackContext(next, purpose)
+        });
+        events.push({
+            type: "llmCall",
+            purpose,
+            sections: Object.fromEntries(Object.entries(sections).filter(([, text]) => text)),
+            prompt,
+            output,
+            fallback,
+            latencyMs: Date.now() - startedAt
+        });
+        return output;
+    };
+    const resolvedInputs = { now: Date.now(), stimulusSources: [], embed: null, replyToUser: true, profileId: null, ...inputs, llm, random };
+    const { now, stimulusSources, replyToUser, profileId } = resolvedInputs;
+    let next = state;
+
+    // A dream that has run its course (or one restored without an end time) wakes up first
+    if (next.mode === "DREAM" && (next.dreamEndsAt === null || now >= next.dreamEndsAt)) {
+        next = wakeFromDream(next);
+        events.push({ type: "dreamEnded" });
+    }
+
+    // Messages from the user are taken in first; being spoken to wakes a dreaming mind
+    let messages = [];
+    if ((next.inbox || []).length > 0) {
+        if (next.mode === "DREAM") {
+            next = wakeFromDream(next);
+            events.push({ type: "dreamEnded", reason: "userMessage" });
+        }
+        const absorbed = absorbUserMessages(next, now);
+        next = absorbed.state;
+        messages = absorbed.messages;
+        messages.forEach(m => events.push({ type: "userMessage", text: m.text, tone: m.appraisal.tone, question: m.appraisal.question }));
+        absorbed.formed.forEach(f => events.push({ type: "hypothesisFormed", other: f.other, belief: f.belief }));
+    }
+
+    // STEP 5: Update Cognitive Maturity
+    next = { ...next, cognitiveMaturity: Math.min(1.0, next.cognitiveMaturity + 0.001) }; // Gradual increase
+
+    // STEP 6: The environment moves on with the clock and its random events, and colours the mood
+    const environment = updateEnvironment(next.envState, now, random);
+    next = { ...next, envState: environment.envState, emotionalGradient: applyEnvironmentToEmotions(next.emotionalGradient, environment.envState) };
+    environment.started.forEach(e => events.push({ type: "environmentEventStarted", event: e.type, until: e.until }));
+    environment.ended.forEach(e => events.push({ type: "environmentEventEnded", event: e.type }));
+    if (environment.changes.length > 0) events.push({ type: "environmentChanged", changes: environment.changes });
+
+    // Periodically fetch external stimuli (STEP 4); noisy surroundings bring more of them
+    if (random() < stimulusChance(next.envState)) {
+        const stimulus = await fetchExternalStimuli(next.topic, next.envState, stimulusSources, next.stimulusFeed, llm, random, now);
+        const newExternalInput = stimulus.text;
+        stimulus.failures.forEach(f => events.push({ type: "stimulusSourceFailed", source: f.source, reason: f.reason }));
+        next = {
+            ...next,
+            externalInput: newExternalInput,
+            stimulusFeed: stimulus.feed,
+            // Inject external input into memory as a low-strength memory
+            memoryStack: [{ text: newExternalInput, emotion: "CURIOSITY", strength: 0.3, charge: 0.2, timestamp: now }, ...next.memoryStack.slice(0, MEMORY_STACK_SIZE - 1)]
+        };
+        events.push({ type: "externalInput", text: newExternalInput, observation: stimulus.observation, source: stimulus.source });
+    }
+
+    // A loop escape scheduled by the previous tick overrides the usual sub-agent and dream choices
+    const pendingEscape = next.internalState.pendingEscape || null;
+    const escapeSubAgent = pendingEscape && pendingEscape.subAgent ?
+        next.internalState.subAgents.find(agent => agent.name === pendingEscape.subAgent) : null;
+    const activeSubAgent = escapeSubAgent || selectSubAgent(next.internalState, next.mode, next.simulatedOthers, random);
+    next = { ...next, internalState: { ...next.internalState, dominantSubAgent: activeSubAgent, pendingEscape: null } };
+    events.push({ type: "subAgent", name: activeSubAgent ? activeSubAgent.name : null });
+
+    const currentGoal = selectGoal(next.internalState.goals, random);
+    next = { ...next, internalState: { ...next.internalState, currentGoal: currentGoal ? currentGoal.goal : null } };
+    events.push({ type: "goalSelected", goal: currentGoal ? currentGoal.goal : null });
+
+    const emotionModulators = computeEmotionModulators(next.emotionalGradient, next.cognitiveMaturity);
+
+    // 15% chance to enter dream mode (modulated by emotion and cognitive maturity)
+    const escapeIntoDream = pendingEscape !== null && pendingEscape.strategy === "dream";
+    if (next.mode !== "DREAM" && messages.length === 0 && (escapeIntoDream || random() < emotionModulators.dreamChance)) {
+        next = await dreamTick(next, resolvedInputs, events);
+    } else {
+        next = await runTick(next, resolvedInputs, events, activeSubAgent, currentGoal, emotionModulators);
+    }
+
+    // Answer the latest message out loud, after thinking about it
+    if (messages.length > 0 && replyToUser) {
+        const message = messages[messages.length - 1];
+        const reply = await generateReply(next, message, resolvePromptTemplates(next.promptTemplates), llm);
+        next = { ...next, conversation: [...next.conversation, { speaker: "mind", text: reply, timestamp: now }].slice(-MAX_CONVERSATION_TURNS) };
+        events.push({ type: "reply", to: message.text, text: reply });
+    }
+
+    next = reviewInternalConflicts(next, events, now);
+    next = reviewGoals(next, events, now);
+    next = reviewAttention(next, events);
+    next = reviewRumination(next, events, now, random);
+    next = reviewTheoryOfMind(state, next, events, now);
+    next = reviewMemory(state, next, events, now);
+    next = reviewSchemaFormation(state, next, events, now);
+    next = reviewEmotions(next, events, random);
+
+    // Unused links fade every tick; weak links and orphaned concepts are pruned
+    const { conceptGraph, prunedEdges, prunedNodes } = decayConceptGraph(next.conceptGraph);
+    next = { ...next, conceptGraph };
+    if (prunedEdges > 0 || prunedNodes > 0) {
+        events.push({ type: "conceptsPruned", edges: prunedEdges, nodes: prunedNodes });
+    }
+
+    return { state: next, events, entry: createTimelineEntry(state, next, events, now, profileId) };
+}
+
+// Timer-driven runner around `tick` that the UI (or any other host) subscribes to.
+// options: { intervalMs, llm, embed, stimulusSources, seed, replyToUser, now, profileId }
+// now() is the mind's clock (the wall clock by default); a fixed or simulated clock together with a seed
+// and a deterministic llm makes a whole run reproducible, day/night cycle included.
+export function createMindEngine(initialState, options = {}) {
+    let state = initialState;
+    let config = { intervalMs: 12000, stimulusSources: [], llm: async () => "", embed: null, seed: "", replyToUser: true, now: () => Date.now(), profileId: null, ...options };
+    let random = createRandom(config.seed);
+    const listeners = new Set();
+    let intervalId = null;
+    let wakeTimeoutId = null;
+    let ticking = false;
+    let pendingUpdates = []; // Updates made while a tick is in flight, re-applied on top of its result
+
+    const emit = (events, entry = null) => listeners.forEach(listener => listener(state, events, entry));
+
+    // Wake at the dream's end time rather than waiting for the next tick
+    const scheduleWake = () => {
+        clearTimeout(wakeTimeoutId);
+        wakeTimeoutId = setTimeout(() => {
+            if (state.mode !== "DREAM") return;
+            state = wakeFromDream(state);
+            emit([{ type: "dreamEnded" }]);
+        }, Math.max(0, state.dreamEndsAt - config.now()));
+    };
+
+    const engine = {
+        getState: () => state,
+
+        // Listener is called with (state, events, entry) after every change, entry being the timeline
+        // record of a tick (null for other changes); returns an unsubscribe function
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        // Replace or update the state from outside the loop (e.g. user actions)
+        update(updater) {
+            if (ticking) pendingUpdates.push(updater);
+            state = updater(state);
+            emit([]);
+        },
+
+        // Speak to the mind: the message is queued and a tick runs right away (the next one, if a tick is in flight)
+        say(text) {
+            engine.update(current => receiveUserMessage(current, text, config.now()));
+            return engine.step();
+        },
+
+        configure(partialOptions) {
+            const intervalChanged = partialOptions.intervalMs !== undefined && partialOptions.intervalMs !== config.intervalMs;
+            const seedChanged = partialOptions.seed !== undefined && partialOptions.seed !== config.seed;
+            config = { ...config, ...partialOptions };
+            if (seedChanged) {
+                random = createRandom(config.seed); // A new seed restarts the sequence from its beginning
+            }
+            if (intervalChanged && intervalId !== null) {
+                engine.stop();
+                engine.start();
+            }
+        },
+
+        // Run a single tick now; overlapping ticks are skipped
+        async step() {
+            if (ticking) return null;
+            ticking = true;
+            try {
+                const result = await tick(state, { now: config.now(), llm: config.llm, embed: config.embed, random, stimulusSources: config.stimulusSources, replyToUser: config.replyToUser, profileId: config.profileId });
+                state = pendingUpdates.reduce((acc, updater) => updater(acc), result.state);
+                if (result.events.some(e => e.type === "dreamStarted")) scheduleWake();
+                emit(result.events, result.entry);
+                return result;
+            } catch (e) {
+                console.error("Mind tick failed:", e);
+                return null;
+            } finally {
+                ticking = false;
+                pendingUpdates = [];
+            }
+        },
+
+        start() {
+            if (intervalId !== null) return;
+            intervalId = setInterval(() => { engine.step(); }, config.intervalMs);
+        },
+
+        stop() {
+            clearInterval(intervalId);
+            clearTimeout(wakeTimeoutId);
+            intervalId = null;
+            wakeTimeoutId = null;
+        },
+
+        isRunning: () => intervalId !== null
+    };
+
+    return engine;
+}
@@ -0,0 +1,178 @@
+import { tick, createMindEngine } from './MindEngine';
+import { createInitialMindState } from './defaultState';
+import { createRandom, hashString } from './random';
+
+const NOW = Date.UTC(2026, 0, 1, 12);
+const TICK_MS = 12000;
+
+// Stub LLM: a different line for every call, tagged with the call's purpose
+function createStubLlm() {
+    const calls = [];
+    const llm = async (prompt) => {
+        calls.push(prompt);
+        return `stub line ${calls.length} wonders about lighthouse${calls.length} and mirror${calls.length}`;
+    };
+    return { llm, calls };
+}
+
+describe("tick", () => {
+    test("thinks a thought from the LLM and returns state, events and a timeline entry", async () => {
+        const { llm } = createStubLlm();
+        const state = { ...createInitialMindState(NOW), mode: "RUN" };
+        // A random() that never dreams or fetches stimuli keeps this tick a plain thought
+        const { state: next, events, entry } = await tick(state, { now: NOW, llm, random: () => 0.99 });
+
+        expect(next.thought).toMatch(/^stub line \d+/);
+        expect(next.memoryStack[0].text).toBe(next.thought);
+        expect(next.memoryStack[0].timestamp).toBe(NOW);
+        expect(next.memoryStack.length).toBeLessThanOrEqual(10);
+
+        const types = events.map(e => e.type);
+        expect(types).toEqual(expect.arrayContaining(["subAgent", "goalSelected", "thought", "llmCall"]));
+        expect(events.find(e => e.type === "thought").text).toBe(next.thought);
+        expect(events.find(e => e.type === "llmCall").purpose).toBe("thought");
+
+        expect(entry.timestamp).toBe(NOW);
+        expect(entry.thought).toBe(next.thought);
+        expect(entry.emotionalGradient).toEqual(next.emotionalGradient);
+        expect(entry.llmCalls.map(c => c.purpose)).toContain("thought");
+        expect(entry.events.some(e => e.type === "llmCall")).toBe(false);
+        expect(entry.diff.some(d => d.path === "thought")).toBe(true);
+    });
+
+    test("does not mutate the state it was given", async () => {
+        const { llm } = createStubLlm();
+        const state = createInitialMindState(NOW);
+        const before = JSON.stringify(state);
+        await tick(state, { now: NOW, llm, random: createRandom("immutable") });
+        expect(JSON.stringify(state)).toBe(before);
+    });
+
+    test("answers a queued message and keeps the reply out of the thought stream", async () => {
+        const { llm } = createStubLlm();
+        const state = { ...createInitialMindState(NOW), inbox: [{ text: "who are you?", timestamp: NOW }], conversation: [{ speaker: "user", text: "who are you?", timestamp: NOW }] };
+        const { state: next, events } = await tick(state, { now: NOW, llm, random: createRandom("reply") });
+
+        expect(next.inbox).toEqual([]);
+        expect(events.find(e => e.type === "userMessage")).toMatchObject({ text: "who are you?", question: true });
+        const reply = events.find(e => e.type === "reply");
+        expect(next.conversation[next.conversation.length - 1]).toMatchObject({ speaker: "mind", text: reply.text });
+        expect(next.memoryStack.some(m => m.text === reply.text)).toBe(false);
+        expect(next.memoryStack.some(m => m.text === "(User): who are you?")).toBe(true);
+    });
+
+    test("a stimulus draws attention to what was observed, not to its time and surroundings", async () => {
+        const { llm } = createStubLlm();
+        const random = createRandom("stimulus");
+        const stimulusSources = [{ id: "notes", type: "folder", name: "Notes", enabled: true, weight: 1, minIntervalMs: 0, documents: [{ name: "walk.md", text: "A dog barking in the distance." }] }];
+        const noon = new Date(2026, 0, 1, 12).getTime(); // Local time, so the environment is the same in every timezone
+        let state = createInitialMindState(noon);
+        let stimulusEvent = null;
+        for (let i = 0; i < 40 && !stimulusEvent; i++) {
+            const result = await tick(state, { now: noon + i * TICK_MS, llm, random, stimulusSources });
+            state = result.state;
+            stimulusEvent = result.events.find(e => e.type === "externalInput" && e.source === "notes");
+        }
+
+        expect(stimulusEvent.text).toMatch(/^\(External: .*\(Env: .*A dog barking in the distance\.$/);
+        expect(stimulusEvent.observation).toBe("A dog barking in the distance.");
+        const focus = state.internalState.attentionStack.map(a => a.concept);
+        expect(focus).toEqual(expect.arrayContaining(["dog", "barking"]));
+        ["external", "env", "light", "noise", "feed", "document"].forEach(concept => expect(focus).not.toContain(concept));
+    });
+
+    test("escalates its escape from a loop that persists", async () => {
+        // The same thought every time, opened differently enough to pass as novel
+        const openings = ["Again", "Still", "Once more", "Always", "Somehow"];
+        let calls = 0;
+        const llm = async () => `${openings[calls++ % openings.length]}, the mirror remembers every face.`;
+        let state = { ...createInitialMindState(NOW), mode: "RUN" };
+        const loops = [];
+        for (let i = 0; i < 8 && !loops.some(e => e.strategy === "dream"); i++) {
+            const result = await tick(state, { now: NOW + i * TICK_MS, llm, random: () => 0.99 });
+            state = result.state;
+            loops.push(...result.events.filter(e => e.type === "loopDetected"));
+        }
+
+        expect(loops.map(e => e.strategy)).toEqual(["topicSwitch", "subAgentChange", "dream"]);
+        expect(loops[0].about).toEqual(expect.arrayContaining(["mirror", "face"]));
+        expect(state.internalState.selfModel.loopDetected).toBe(true);
+        expect(state.internalState.pendingEscape.strategy).toBe("dream");
+
+        const { state: next } = await tick(state, { now: NOW + 8 * TICK_MS, llm, random: () => 0.99 });
+        expect(next.mode).toBe("DREAM");
+    });
+
+    test("keeps the mind well-formed over many ticks", async () => {
+        const { llm } = createStubLlm();
+        const random = createRandom("long run");
+        const initial = createInitialMindState(NOW);
+        // A long-running mind's self-model history, as saved before it was capped
+        const history = Array.from({ length: 30 }, (_, i) => `Belief 'b${i}' strengthened: 0.5 -> 0.6`);
+        let state = { ...initial, internalState: { ...initial.internalState, selfModel: { ...initial.internalState.selfModel, recentChanges: history } } };
+        for (let i = 0; i < 50; i++) {
+            state = (await tick(state, { now: NOW + i * TICK_MS, llm, random })).state;
+        }
+        expect(state.memoryStack.length).toBeLessThanOrEqual(10);
+        expect(state.internalState.attentionStack.length).toBeLessThanOrEqual(7);
+        Object.values(state.emotionalGradient).forEach(value => {
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThanOrEqual(1);
+        });
+        expect(state.cognitiveMaturity).toBeCloseTo(initial.cognitiveMaturity + 0.05, 5);
+        expect(state.internalState.selfModel.recentChanges.length).toBeLessThanOrEqual(10);
+    });
+});
+
+describe("createMindEngine", () => {
+    test("step runs a tick and notifies subscribers", async () => {
+        const { llm } = createStubLlm();
+        const engine = createMindEngine(createInitialMindState(NOW), { llm, seed: "engine", profileId: "profile-1" });
+        const seen = [];
+        const unsubscribe = engine.subscribe((state, events, entry) => seen.push({ state, events, entry }));
+
+        const result = await engine.step();
+        unsubscribe();
+
+        expect(engine.getState()).toBe(result.state);
+        expect(seen).toHaveLength(1);
+        expect(seen[0].entry).toBe(result.entry);
+        expect(result.entry.profileId).toBe("profile-1");
+        expect(engine.isRunning()).toBe(false);
+    });
+
+    test("updates made during a tick survive it, and overlapping ticks are skipped", async () => {
+        const { llm } = createStubLlm();
+        const slowLlm = (prompt) => new Promise(resolve => setTimeout(() => resolve(llm(prompt)), 0));
+        const engine = createMindEngine(createInitialMindState(NOW), { llm: slowLlm, seed: "pending" });
+
+        const stepping = engine.step();
+        engine.update(state => ({ ...state, topicPinned: true }));
+        expect(await engine.step()).toBeNull();
+        await stepping;
+
+        expect(engine.getState().topicPinned).toBe(true);
+    });
+
+    test("the same seed, LLM responses and clock replay the same thought stream", async () => {
+        // Responses depend on the prompt, so any divergence in what the mind asks shows up in what it thinks
+        const llm = async (prompt) => `echo ${hashString(prompt).toString(36)} of lantern ${prompt.length} and harbor ${prompt.length % 97}`;
+        const run = async (seed) => {
+            let time = NOW;
+            const engine = createMindEngine(createInitialMindState(NOW), { llm, seed, now: () => time });
+            const stream = [];
+            for (let i = 0; i < 40; i++) {
+                const { entry } = await engine.step();
+                stream.push(`${entry.mode} ${entry.topic} ${entry.thought}`);
+                time += 60 * 60 * 1000; // An hour a tick, so the day/night cycle turns too
+            }
+            return { stream, envState: engine.getState().envState };
+        };
+
+        const first = await run("replay");
+        const second = await run("replay");
+        expect(second.stream).toEqual(first.stream);
+        expect(second.envState).toEqual(first.envState);
+        expect((await run("another seed")).stream).not.toEqual(first.stream);
+    });
+});
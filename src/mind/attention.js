@@ -0,0 +1,66 @@
+// Attention mechanism. Concepts from the latest thought, external stimuli, the user's messages and
+// open conflicts compete for a bounded number of slots. Each candidate gets a salience from its source, its
+// novelty, the current emotional charge and its relevance to the active goal; concepts already in
+// focus are reinforced by it, new ones displace the weakest. Every tick all weights decay, so
+// concepts that stop coming up fade out of focus.
+
+import { extractConcepts } from './conceptGraph';
+
+const ATTENTION_CAPACITY = 7;
+const ATTENTION_DECAY = 0.85; // Weight multiplier per tick
+const MIN_ATTENTION_WEIGHT = 0.1; // Below this a concept drops out of focus
+const MAX_CANDIDATES_PER_SOURCE = 3; // So one long thought cannot flood the stack
+const SOURCE_SALIENCE = { thought: 0.4, stimulus: 0.35, message: 0.6, conflict: 0.5 }; // Being spoken to stands out most
+const EMOTION_BOOST = 0.3; // Extra salience at full emotional charge
+const GOAL_BOOST = 0.3; // Extra salience for concepts the active goal is about
+
+// Emotional charge: how aroused the mind is, from its most intense arousing emotion
+const emotionalCharge = (gradient) => Math.min(1.0, Math.max(gradient.anxiety || 0, gradient.curiosity || 0));
+
+const isGoalRelevant = (concept, goal) => Boolean(goal) &&
+    (goal.goal.toLowerCase().includes(concept) || goal.keywords.some(keyword => keyword.includes(concept) || concept.includes(keyword)));
+
+// Score candidate concepts from one source and keep the most salient few
+function scoreCandidates(concepts, source, novelty, charge, goal) {
+    return concepts
+        .map(concept => ({
+            concept,
+            source,
+            salience: Math.min(1.0, SOURCE_SALIENCE[source] * (0.5 + 0.5 * novelty) + charge * EMOTION_BOOST + (isGoalRelevant(concept, goal) ? GOAL_BOOST : 0))
+        }))
+        .sort((a, b) => b.salience - a.salience)
+        .slice(0, MAX_CANDIDATES_PER_SOURCE);
+}
+
+// Decay the stack and let this tick's concepts compete for its slots.
+// context: { thought, thoughtNovelty, stimulus, message, conflicts, goal, emotionalGradient }; conflicts are the open ones.
+// Returns { attentionStack, entered, dropped }.
+export function updateAttention(attentionStack, { thought, thoughtNovelty = 1.0, stimulus, message, conflicts = [], goal = null, emotionalGradient }) {
+    const charge = emotionalCharge(emotionalGradient);
+    const candidates = [
+        ...(thought ? scoreCandidates(extractConcepts(thought), "thought", thoughtNovelty, charge, goal) : []),
+        ...(stimulus ? scoreCandidates(extractConcepts(stimulus), "stimulus", 1.0, charge, goal) : []), // Stimuli are new by definition
+        ...(message ? scoreCandidates(extractConcepts(message), "message", 1.0, charge, goal) : []),
+        ...conflicts.flatMap(conflict => scoreCandidates(conflict.concepts, "conflict", conflict.severity, charge, goal))
+    ];
+
+    const weights = new Map(attentionStack.map(a => [a.concept, a.weight * ATTENTION_DECAY]));
+    for (const { concept, salience } of candidates) {
+        const weight = weights.get(concept) || 0;
+        weights.set(concept, weight + salience * (1 - weight)); // Repeated concepts reinforce each other, saturating at 1
+    }
+
+    const ranked = Array.from(weights.entries())
+        .filter(([, weight]) => weight >= MIN_ATTENTION_WEIGHT)
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, ATTENTION_CAPACITY)
+        .map(([concept, weight]) => ({ concept, weight }));
+
+    const previous = new Set(attentionStack.map(a => a.concept));
+    const current = new Set(ranked.map(a => a.concept));
+    return {
+        attentionStack: ranked,
+        entered: ranked.filter(a => !previous.has(a.concept)).map(a => a.concept),
+        dropped: attentionStack.filter(a => !current.has(a.concept)).map(a => a.concept)
+    };
+}
@@ -0,0 +1,44 @@
+import { updateAttention } from './attention';
+import { extractConcepts, extractGraphConcepts } from './conceptGraph';
+
+const CALM = { curiosity: 0, anxiety: 0, calm: 1 };
+
+describe("attention", () => {
+    test("concepts are content words in order of first appearance", () => {
+        expect(extractConcepts("The ocean, the ocean and what lies beneath it")).toEqual(["ocean", "lies", "beneath"]);
+    });
+
+    test("filler never takes a slot and agrees with the concept graph", () => {
+        const thought = "Wait, hmm... maybe the tide, like, really is a clock?";
+        const { attentionStack } = updateAttention([], { thought, emotionalGradient: CALM });
+        expect(attentionStack.map(a => a.concept).sort()).toEqual(["clock", "tide"]);
+        expect(extractGraphConcepts(thought)).toEqual(["tide", "clock"]);
+    });
+
+    test("new concepts enter and stale ones decay out of focus", () => {
+        let result = updateAttention([], { thought: "Lighthouses guide ships", emotionalGradient: CALM });
+        expect(result.entered).toEqual(expect.arrayContaining(["lighthouses", "guide", "ships"]));
+        for (let i = 0; i < 20 && result.attentionStack.length > 0; i++) {
+            result = updateAttention(result.attentionStack, { emotionalGradient: CALM });
+        }
+        expect(result.attentionStack).toEqual([]);
+    });
+
+    test("the stack is bounded and a message outweighs a thought", () => {
+        const { attentionStack } = updateAttention([], {
+            thought: "alpha bravo charlie delta",
+            stimulus: "echo foxtrot hotel",
+            message: "india juliet kilo",
+            conflicts: [{ concepts: ["lima", "mike"], severity: 0.5 }],
+            emotionalGradient: CALM
+        });
+        expect(attentionStack.length).toBeLessThanOrEqual(7);
+        expect(attentionStack[0].concept).toMatch(/india|juliet|kilo/);
+    });
+
+    test("concepts the goal is about are boosted", () => {
+        const goal = { goal: "explore ships", keywords: ["ships"] };
+        const { attentionStack } = updateAttention([], { thought: "lighthouses ships", goal, emotionalGradient: CALM });
+        expect(attentionStack[0].concept).toBe("ships");
+    });
+});
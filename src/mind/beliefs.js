@@ -0,0 +1,190 @@
+// Predefined stance contradictions: a single belief cannot hold both stances at once (can be expanded)
+const STANCE_CONTRADICTIONS = [
+    ["self", "undefined", "defined"],
+    ["memory", "fluid", "static"],
+    ["existence", "real", "simulated"]
+];
+
+// Predefined opposing concepts: believing in both at once is a contradiction
+const OPPOSING_CONCEPTS = [
+    ["chaos", "order"],
+    ["free will", "determinism"]
+];
+
+// Stances that withhold judgement instead of asserting the concept
+const NON_ASSERTING_STANCES = ["undefined", "questioning", "uncertain", "absent", "false", "rejected"];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word match, so "undefined" does not also count as "defined"
+export const hasWord = (text, word) => new RegExp(`\\b${escapeRegExp(word)}\\b`).test(text);
+
+const isAsserted = (belief) => Boolean(belief) && !NON_ASSERTING_STANCES.some(stance => hasWord(belief.stance, stance));
+
+// Opposing concept pairs from the predefined list plus 'a-b': ['contradictory'] links in the belief graph
+function getOpposingPairs(beliefGraph) {
+    const pairs = [...OPPOSING_CONCEPTS];
+    for (const key in beliefGraph) {
+        const separator = key.indexOf('-');
+        if (separator > 0 && beliefGraph[key].includes('contradictory')) {
+            pairs.push([key.slice(0, separator), key.slice(separator + 1)]);
+        }
+    }
+    return pairs;
+}
+
+// Function to detect contradictions in beliefs.
+// Returns [{ key, description, concepts, severity }]; `key` is stable across ticks for the same contradiction.
+export function detectContradictions(beliefs, beliefGraph) {
+    const detectedConflicts = new Map();
+    const beliefByConcept = new Map(beliefs.map(b => [b.concept, b]));
+
+    // Check for direct contradictions in stances
+    for (const [concept, stance1, stance2] of STANCE_CONTRADICTIONS) {
+        const belief = beliefByConcept.get(concept);
+        if (belief && hasWord(belief.stance, stance1) && hasWord(belief.stance, stance2)) {
+            detectedConflicts.set(`stance:${concept}`, {
+                key: `stance:${concept}`,
+                description: `Contradiction in '${concept}' between '${stance1}' and '${stance2}'`,
+                concepts: [concept],
+                severity: Math.min(1.0, 0.5 + belief.confidence / 2) // Holding both stances is always at least a moderate conflict
+            });
+        }
+    }
+
+    // Check for contradictions between opposing concepts that are both believed in
+    for (const [conceptA, conceptB] of getOpposingPairs(beliefGraph)) {
+        const beliefA = beliefByConcept.get(conceptA);
+        const beliefB = beliefByConcept.get(conceptB);
+        const key = `opposed:${[conceptA, conceptB].sort().join('+')}`;
+        if (isAsserted(beliefA) && isAsserted(beliefB) && !detectedConflicts.has(key)) {
+            detectedConflicts.set(key, {
+                key,
+                description: `Implied contradiction between '${conceptA}' and '${conceptB}'`,
+                concepts: [conceptA, conceptB],
+                severity: (beliefA.confidence + beliefB.confidence) / 2 // The more firmly both are held, the worse
+            });
+        }
+    }
+
+    return Array.from(detectedConflicts.values());
+}
+
+// --- Belief revision ---
+// Thoughts that mention a belief's concept are attached to its evidence as supporting or
+// contradicting it. Confidence follows the evidence; contradicting evidence also builds up
+// pressure towards an alternative stance, and once that pressure crosses the emotion-modulated
+// beliefChangeThreshold the stance flips (weakly held) or forks into "old / new" (firmly held).
+// A forked stance collapses onto whichever side later evidence pushes past the threshold.
+
+const MAX_EVIDENCE = 20;
+const MAX_HISTORY = 20;
+const EVIDENCE_WEIGHT = 0.25; // Weight of a fully novel thought
+const CONFIDENCE_RATE = 0.4; // How far one unit of evidence moves confidence
+const PRESSURE_SCALE = 20; // beliefChangeThreshold (~0.05) -> pressure needed for a stance change (~1.0)
+const FORK_CONFIDENCE = 0.4; // At or above this, contradicted beliefs fork instead of flipping
+const FORK_SEPARATOR = " / ";
+const FALLBACK_ALTERNATIVE = "questioning";
+
+// Opposite stances, both ways; the stance contradiction pairs plus a few common ones
+const STANCE_OPPOSITES = STANCE_CONTRADICTIONS
+    .map(([, a, b]) => [a, b])
+    .concat([["questioning", "certain"], ["essential", "irrelevant"], ["present", "absent"]])
+    .reduce((map, [a, b]) => ({ ...map, [a]: b, [b]: a }), {});
+
+// "not sure" is uncertainty, not negation
+const NEGATION_CUES = /\b(not|isn't|aren't|doesn't|don't|never|no longer|wrong|false)\b/;
+const stripUncertainty = (text) => text.replace(/\bnot (sure|certain)\b/g, "");
+
+const stanceSides = (stance) => stance.split(FORK_SEPARATOR);
+
+// Decide how a thought bears on a belief: { direction, alternative } or null if it does not mention it
+function appraiseEvidence(belief, thoughtLower) {
+    if (!hasWord(thoughtLower, belief.concept)) return null;
+
+    const sides = stanceSides(belief.stance);
+    if (sides.length > 1) {
+        // Forked: evidence for one side is evidence against the other
+        const favoured = sides.find(side => hasWord(thoughtLower, side));
+        return favoured ? { direction: "contradict", alternative: favoured } : { direction: "support", alternative: null };
+    }
+
+    const opposite = STANCE_OPPOSITES[belief.stance] || null;
+    if (opposite && hasWord(thoughtLower, opposite)) {
+        return { direction: "contradict", alternative: opposite };
+    }
+    if (NEGATION_CUES.test(stripUncertainty(thoughtLower))) {
+        return { direction: "contradict", alternative: opposite || FALLBACK_ALTERNATIVE };
+    }
+    return { direction: "support", alternative: null };
+}
+
+// Record a history entry, keeping the list bounded
+const withHistory = (belief, entry) => ({ ...belief, history: [...(belief.history || []), entry].slice(-MAX_HISTORY) });
+
+// Change the stance once the pressure towards an alternative crosses the threshold
+function changeStance(belief, alternative, now) {
+    const sides = stanceSides(belief.stance);
+    let change;
+    let stance;
+    let confidence = belief.confidence;
+    if (sides.length > 1) {
+        change = "collapse";
+        stance = alternative;
+        confidence = Math.max(0.5, confidence); // The evidence that settled the fork backs the new stance
+    } else if (belief.confidence >= FORK_CONFIDENCE) {
+        change = "fork";
+        stance = `${belief.stance}${FORK_SEPARATOR}${alternative}`;
+    } else {
+        change = "flip";
+        stance = alternative;
+        confidence = 0.5; // The new stance starts out half-believed
+    }
+    const changed = withHistory({ ...belief, stance, confidence, pressure: {} }, { timestamp: now, event: change, stance, confidence, from: belief.stance });
+    return { belief: changed, change: { concept: belief.concept, from: belief.stance, to: stance, change } };
+}
+
+// Attach a thought as evidence to every belief it mentions and revise them.
+// options: { now, novelty, subAgent, beliefChangeThreshold }. Returns { beliefs, changes }.
+export function reviseBeliefs(beliefs, thought, { now, novelty = 1.0, subAgent = null, beliefChangeThreshold = 0.05 }) {
+    const thoughtLower = thought.toLowerCase();
+    const bias = subAgent ? subAgent.beliefBias : 0; // Positive biases favour support, negative ones doubt
+    const requiredPressure = beliefChangeThreshold * PRESSURE_SCALE;
+    const changes = [];
+
+    const revised = beliefs.map(belief => {
+        const appraisal = appraiseEvidence(belief, thoughtLower);
+        if (!appraisal) return belief;
+
+        const isSupport = appraisal.direction === "support";
+        const weight = EVIDENCE_WEIGHT * novelty * Math.max(0, isSupport ? 1 + bias * 10 : 1 - bias * 10);
+        const confidence = isSupport ?
+            belief.confidence + weight * CONFIDENCE_RATE * (1 - belief.confidence) :
+            belief.confidence - weight * CONFIDENCE_RATE * belief.confidence;
+
+        // Support relieves pressure on every alternative; contradiction adds to one of them
+        const pressure = { ...(belief.pressure || {}) };
+        if (isSupport) {
+            Object.keys(pressure).forEach(alt => { pressure[alt] = Math.max(0, pressure[alt] - weight); });
+        } else {
+            pressure[appraisal.alternative] = (pressure[appraisal.alternative] || 0) + weight;
+        }
+
+        let updated = withHistory({
+            ...belief,
+            confidence: Math.min(1.0, Math.max(0.0, confidence)),
+            pressure,
+            evidence: [...belief.evidence, { text: thought, direction: appraisal.direction, alternative: appraisal.alternative, weight, timestamp: now }].slice(-MAX_EVIDENCE)
+        }, { timestamp: now, event: appraisal.direction, stance: belief.stance, confidence, text: thought });
+
+        const [strongest, strongestPressure] = Object.entries(pressure).sort(([, a], [, b]) => b - a)[0] || [];
+        if (strongest && strongest !== belief.stance && strongestPressure >= requiredPressure) {
+            const result = changeStance(updated, strongest, now);
+            updated = result.belief;
+            changes.push(result.change);
+        }
+        return updated;
+    });
+
+    return { beliefs: revised, changes };
+}
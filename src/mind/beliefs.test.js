@@ -0,0 +1,81 @@
+import { reviseBeliefs, detectContradictions } from './beliefs';
+
+const NOW = Date.UTC(2026, 0, 1, 12);
+
+const belief = (concept, stance, confidence) => ({ concept, stance, evidence: [], confidence });
+
+// Revise with the same thought several times, as if it came up on consecutive ticks
+function reviseRepeatedly(beliefs, thought, times) {
+    let revised = beliefs;
+    const changes = [];
+    for (let i = 0; i < times; i++) {
+        const result = reviseBeliefs(revised, thought, { now: NOW + i });
+        revised = result.beliefs;
+        changes.push(...result.changes);
+    }
+    return { beliefs: revised, changes };
+}
+
+describe("belief revision", () => {
+    test("thoughts become evidence for the beliefs they mention", () => {
+        const beliefs = [belief("memory", "fluid", 0.5), belief("logic", "essential", 0.4)];
+        const { beliefs: [memory, logic] } = reviseBeliefs(beliefs, "Memory is fluid, like water.", { now: NOW });
+        expect(memory.evidence).toEqual([expect.objectContaining({ direction: "support", timestamp: NOW })]);
+        expect(memory.confidence).toBeGreaterThan(0.5);
+        expect(logic).toBe(beliefs[1]);
+    });
+
+    test("negation contradicts, uncertainty does not", () => {
+        const beliefs = [belief("logic", "essential", 0.4)];
+        const [negated] = reviseBeliefs(beliefs, "Logic is not essential at all.", { now: NOW }).beliefs;
+        expect(negated.evidence[0]).toMatchObject({ direction: "contradict", alternative: "irrelevant" });
+        expect(negated.confidence).toBeLessThan(0.4);
+
+        const [unsure] = reviseBeliefs(beliefs, "I am not sure where logic leads.", { now: NOW }).beliefs;
+        expect(unsure.evidence[0].direction).toBe("support");
+    });
+
+    test("a weakly held belief flips once contradictions pile up", () => {
+        const beliefs = [belief("self", "undefined", 0.1)];
+        expect(reviseRepeatedly(beliefs, "The self is defined.", 3).changes).toEqual([]);
+
+        const { beliefs: [self], changes } = reviseRepeatedly(beliefs, "The self is defined.", 4);
+        expect(changes).toEqual([{ concept: "self", from: "undefined", to: "defined", change: "flip" }]);
+        expect(self.stance).toBe("defined");
+        expect(self.confidence).toBe(0.5);
+        expect(self.pressure).toEqual({});
+    });
+
+    test("support relieves the pressure towards another stance", () => {
+        const doubted = reviseRepeatedly([belief("self", "undefined", 0.1)], "The self is defined.", 3).beliefs;
+        const supported = reviseBeliefs(doubted, "The self remains undefined.", { now: NOW + 3 }).beliefs;
+        expect(supported[0].pressure.defined).toBeCloseTo(0.5);
+        expect(reviseBeliefs(supported, "The self is defined.", { now: NOW + 4 }).changes).toEqual([]);
+    });
+
+    test("a firmly held belief forks, then collapses onto the side evidence favours", () => {
+        const forked = reviseRepeatedly([belief("memory", "fluid", 0.9)], "Memory is static.", 4);
+        expect(forked.changes.map(c => c.change)).toEqual(["fork"]);
+        expect(forked.beliefs[0].stance).toBe("fluid / static");
+
+        const collapsed = reviseRepeatedly(forked.beliefs, "Memory is static.", 4);
+        expect(collapsed.changes).toEqual([{ concept: "memory", from: "fluid / static", to: "static", change: "collapse" }]);
+        expect(collapsed.beliefs[0].history.map(h => h.event)).toContain("fork");
+    });
+
+    test("a higher change threshold needs more evidence", () => {
+        const beliefs = [belief("self", "undefined", 0.1)];
+        let revised = beliefs;
+        for (let i = 0; i < 4; i++) {
+            const result = reviseBeliefs(revised, "The self is defined.", { now: NOW + i, beliefChangeThreshold: 0.1 });
+            expect(result.changes).toEqual([]);
+            revised = result.beliefs;
+        }
+    });
+
+    test("the forked stance contradicts itself", () => {
+        const [conflict] = detectContradictions([belief("self", "undefined / defined", 0.6)], {});
+        expect(conflict).toMatchObject({ key: "stance:self", concepts: ["self"] });
+        expect(detectContradictions([belief("self", "undefined", 0.6)], {})).toEqual([]);
+    });
+});
@@ -0,0 +1,142 @@
+// Weighted concept graph: { concept: { linkedConcept: weight } } with weights in (0, 1].
+// Content words that co-occur in a thought strengthen the edge between them (Hebbian-style),
+// every tick all edges decay, and edges that fall below a minimum weight are pruned along with
+// nodes left without any edge. Stopwords and filler never become concepts, and the number of
+// nodes is capped so the graph cannot grow without bound. The same word filter is shared by attention,
+// goals, rumination and retrieval, so every part of the mind agrees on what counts as a concept.
+
+const LEARNING_RATE = 0.3; // Share of the remaining distance to 1 an edge gains per co-occurrence
+const EDGE_DECAY = 0.995; // Weight multiplier per tick
+const MIN_EDGE_WEIGHT = 0.05; // Weaker edges are pruned
+const SEED_EDGE_WEIGHT = 1.0; // Weight of edges from the default graph and of legacy unweighted links
+const MAX_CONCEPTS_PER_THOUGHT = 8; // Links per thought grow quadratically with this
+const MAX_NODES = 300;
+
+export const CONCEPT_STOPWORDS = [
+    "the", "and", "but", "for", "nor", "not", "yet", "are", "was", "were", "been", "being", "has", "had", "have", "does", "did", "doing",
+    "this", "that", "these", "those", "there", "their", "them", "they", "then", "than", "what", "when", "where", "which", "who", "whom", "why", "how",
+    "you", "your", "yours", "our", "ours", "his", "her", "hers", "its", "it's", "i'm", "i've", "i'll", "i'd", "can't", "don't", "isn't", "won't",
+    "with", "from", "into", "onto", "about", "over", "under", "again", "still", "just", "only", "also", "very", "too", "more", "most", "some", "any",
+    "all", "each", "every", "other", "such", "same", "own", "out", "off", "now", "here", "will", "would", "could", "should", "might", "must", "can",
+    "one", "get", "got", "let", "say", "said", "thing", "things", "something", "anything", "nothing", "way", "much", "many", "really", "even",
+    "between", "contradiction", "implied", // Wording of generated conflict descriptions
+    // Filler
+    "ugh", "hmm", "wait", "like", "maybe", "dunno", "whatever", "okay", "yeah", "nah", "huh", "sure", "kinda", "sorta", "stuck", "circling"
+];
+
+export const isConceptWord = (word) => word.length > 2 && !/^\d+$/.test(word) && !CONCEPT_STOPWORDS.includes(word);
+
+// Candidate concept words of a text in order, repeats included
+export const conceptWords = (text) => text.toLowerCase().split(/[^a-z0-9']+/).map(w => w.replace(/^'+|'+$/g, '')).filter(isConceptWord);
+
+// Content words of a text, in order of first appearance
+export const extractConcepts = (text) => [...new Set(conceptWords(text))];
+
+// Content words of a thought that may become concepts, capped so one thought links a bounded number of them
+export const extractGraphConcepts = (text) => extractConcepts(text).slice(0, MAX_CONCEPTS_PER_THOUGHT);
+
+// Older saves (and the default graph) list links as arrays; turn them into weighted edges
+export function normalizeConceptGraph(graph) {
+    const normalized = {};
+    for (const concept in graph) {
+        const links = graph[concept];
+        normalized[concept] = Array.isArray(links) ?
+            links.reduce((edges, linked) => ({ ...edges, [linked]: SEED_EDGE_WEIGHT }), {}) :
+            { ...links };
+    }
+    return normalized;
+}
+
+// Weighted neighbours of a concept: [[linkedConcept, weight]]
+export const getNeighbours = (graph, concept) => Object.entries(graph[concept] || {});
+
+// Total edge weight of a concept, a measure of how established it is
+export const conceptStrength = (graph, concept) => getNeighbours(graph, concept).reduce((sum, [, weight]) => sum + weight, 0);
+
+// Pick an entry of [[item, weight]] with probability proportional to its weight
+export function weightedPick(entries, random = Math.random) {
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    if (entries.length === 0 || total <= 0) return null;
+    let roll = random() * total;
+    for (const [item, weight] of entries) {
+        roll -= weight;
+        if (roll <= 0) return item;
+    }
+    return entries[entries.length - 1][0];
+}
+
+// "Random walk" on the graph for associative dreams, following strong links more often
+export function randomWalk(graph, steps, random = Math.random) {
+    const allConcepts = Object.keys(graph);
+    if (allConcepts.length === 0) return [];
+    const jump = () => weightedPick(allConcepts.map(c => [c, conceptStrength(graph, c)]), random) || allConcepts[Math.floor(random() * allConcepts.length)];
+    const walk = [];
+    let currentConcept = jump(); // Start at an established concept
+    for (let i = 0; i < steps; i++) {
+        walk.push(currentConcept);
+        currentConcept = weightedPick(getNeighbours(graph, currentConcept), random) || jump(); // Jump if no links
+    }
+    return walk;
+}
+
+// Strengthen the edges between every pair of concepts in a thought, both ways
+export function reinforceConcepts(graph, text) {
+    const concepts = extractGraphConcepts(text);
+    if (concepts.length < 2) return graph;
+
+    const updated = { ...graph };
+    const strengthen = (from, to) => {
+        const edges = { ...(updated[from] || {}) };
+        const weight = edges[to] || 0;
+        edges[to] = weight + LEARNING_RATE * (1 - weight);
+        updated[from] = edges;
+    };
+    for (let i = 0; i < concepts.length; i++) {
+        for (let j = i + 1; j < concepts.length; j++) {
+            strengthen(concepts[i], concepts[j]);
+            strengthen(concepts[j], concepts[i]);
+        }
+    }
+    return updated;
+}
+
+// Decay every edge, prune weak edges and orphan nodes, and cap the number of nodes.
+// Returns { conceptGraph, prunedEdges, prunedNodes }.
+export function decayConceptGraph(graph) {
+    let prunedEdges = 0;
+    const decayed = {};
+    for (const concept in graph) {
+        const edges = {};
+        for (const [linked, weight] of Object.entries(graph[concept])) {
+            const next = weight * EDGE_DECAY;
+            if (next >= MIN_EDGE_WEIGHT) {
+                edges[linked] = next;
+            } else {
+                prunedEdges++;
+            }
+        }
+        decayed[concept] = edges;
+    }
+
+    // Keep the strongest nodes when over capacity, then drop edges into removed nodes
+    let kept = Object.keys(decayed);
+    if (kept.length > MAX_NODES) {
+        kept = kept.sort((a, b) => conceptStrength(decayed, b) - conceptStrength(decayed, a)).slice(0, MAX_NODES);
+    }
+    const keptSet = new Set(kept);
+    const capped = {};
+    kept.forEach(concept => {
+        capped[concept] = Object.fromEntries(Object.entries(decayed[concept]).filter(([linked]) => keptSet.has(linked) || !(linked in decayed)));
+    });
+
+    // Orphans: no outgoing edges and nothing linking to them
+    const linkedTo = new Set(Object.values(capped).flatMap(edges => Object.keys(edges)));
+    const conceptGraph = {};
+    for (const concept in capped) {
+        if (Object.keys(capped[concept]).length > 0 || linkedTo.has(concept)) {
+            conceptGraph[concept] = capped[concept];
+        }
+    }
+
+    return { conceptGraph, prunedEdges, prunedNodes: Object.keys(graph).length - Object.keys(conceptGraph).length };
+}
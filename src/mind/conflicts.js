@@ -0,0 +1,116 @@
+// Conflict lifecycle. Contradictions open conflicts, thoughts that touch a conflict's concepts are
+// recorded as resolution attempts (each one easing its severity), and a conflict is resolved once
+// its contradiction disappears from the beliefs or, for conflicts not backed by beliefs, once a
+// thought settles it. Mental tension is derived from whatever is still open.
+
+import { hasWord } from './beliefs';
+
+const MAX_RESOLVED_CONFLICTS = 10; // Resolved conflicts kept for history
+const ATTEMPT_RELIEF = 0.85; // Severity multiplier per resolution attempt
+const RESOLUTION_MARKERS = /\b(resolved?|reconcil\w*|settled|both can|not (a )?contradict\w*|makes sense now|accept(ed)? (it|both))\b/;
+
+export const isOpenConflict = (conflict) => conflict.resolvedAt === null;
+
+// Build a new open conflict
+export function createConflict({ key, description, concepts = [], severity, source }, now) {
+    return {
+        id: `${key}@${now}`,
+        key,
+        description,
+        concepts, // Words that mark a thought as working on this conflict
+        source, // "belief" conflicts live as long as the contradiction; others are settled by thoughts
+        baseSeverity: severity,
+        severity,
+        openedAt: now,
+        resolvedAt: null,
+        resolution: null,
+        resolutionAttempts: []
+    };
+}
+
+// Older saves stored conflicts as plain strings
+export function normalizeConflict(conflict, now) {
+    if (typeof conflict !== 'string') return conflict;
+    const isDreamConflict = conflict === "dream-induced conflict";
+    return createConflict({
+        key: isDreamConflict ? "dream" : `legacy:${conflict}`,
+        description: conflict,
+        concepts: isDreamConflict ? ["dream", "conflict"] : conflict.toLowerCase().split(/\W+/).filter(w => w.length > 3),
+        severity: 0.3,
+        source: isDreamConflict ? "dream" : "legacy"
+    }, now);
+}
+
+// Open a conflict unless one with the same key is already open
+export function openConflict(conflicts, conflictSpec, now) {
+    if (conflicts.some(c => isOpenConflict(c) && c.key === conflictSpec.key)) return conflicts;
+    return [...conflicts, createConflict(conflictSpec, now)];
+}
+
+// Reconcile the conflict list with this tick's contradictions and latest thought.
+// Returns { conflicts, opened, resolved }.
+export function reviewConflicts(conflicts, contradictions, thought, now) {
+    const thoughtLower = thought ? thought.toLowerCase() : "";
+    const detectedByKey = new Map(contradictions.map(c => [c.key, c]));
+    const opened = [];
+    const resolved = [];
+
+    const reviewed = conflicts.map(c => normalizeConflict(c, now)).map(conflict => {
+        if (!isOpenConflict(conflict)) return conflict;
+        let next = conflict;
+
+        // A thought that touches the conflict's concepts is an attempt to work through it
+        const attempted = thoughtLower.length > 0 && conflict.concepts.some(concept => hasWord(thoughtLower, concept));
+        if (attempted) {
+            next = { ...next, resolutionAttempts: [...next.resolutionAttempts, { timestamp: now, text: thought }] };
+        }
+
+        if (conflict.source === "belief") {
+            const detected = detectedByKey.get(conflict.key);
+            if (!detected) {
+                next = { ...next, resolvedAt: now, resolution: "belief change" };
+                resolved.push(next);
+                return next;
+            }
+            next = { ...next, baseSeverity: detected.severity };
+        } else if (attempted && RESOLUTION_MARKERS.test(thoughtLower)) {
+            next = { ...next, resolvedAt: now, resolution: `thought: "${thought.substring(0, 50)}"` };
+            resolved.push(next);
+            return next;
+        }
+
+        return { ...next, severity: next.baseSeverity * Math.pow(ATTEMPT_RELIEF, next.resolutionAttempts.length) };
+    });
+
+    // Open conflicts for newly detected contradictions
+    for (const contradiction of contradictions) {
+        if (!reviewed.some(c => isOpenConflict(c) && c.key === contradiction.key)) {
+            const conflict = createConflict({ ...contradiction, source: "belief" }, now);
+            reviewed.push(conflict);
+            opened.push(conflict);
+        }
+    }
+
+    // Keep every open conflict but only the most recently resolved ones
+    const keptResolved = new Set(reviewed.filter(c => !isOpenConflict(c)).slice(-MAX_RESOLVED_CONFLICTS));
+    return {
+        conflicts: reviewed.filter(c => isOpenConflict(c) || keptResolved.has(c)),
+        opened,
+        resolved
+    };
+}
+
+// Mental tension: combined severity of open conflicts, 1 - Π(1 - severity), so it stays within [0, 1]
+export function computeMentalTension(conflicts) {
+    return 1 - conflicts
+        .filter(isOpenConflict)
+        .reduce((calm, conflict) => calm * (1 - conflict.severity), 1);
+}
+
+// Prompt-friendly summary of the open conflicts
+export function describeOpenConflicts(conflicts) {
+    return conflicts
+        .filter(isOpenConflict)
+        .map(c => `${c.description} (severity ${c.severity.toFixed(1)})`)
+        .join(', ');
+}
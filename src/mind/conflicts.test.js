@@ -0,0 +1,39 @@
+import { createConflict, openConflict, reviewConflicts, computeMentalTension } from './conflicts';
+
+const NOW = Date.UTC(2026, 0, 1, 12);
+
+const chaosConflict = (source = "dream") => createConflict({ key: "art|chaos", description: "art against chaos", concepts: ["art", "chaos"], severity: 0.6, source }, NOW);
+
+describe("conflicts", () => {
+    test("only thoughts naming a concept as a whole word attempt the conflict", () => {
+        const [apart] = reviewConflicts([chaosConflict()], [], "The clouds drift apart.", NOW + 1).conflicts;
+        expect(apart.resolutionAttempts).toEqual([]);
+        expect(apart.severity).toBeCloseTo(0.6);
+
+        const [attempted] = reviewConflicts([chaosConflict()], [], "Is art a way through chaos?", NOW + 1).conflicts;
+        expect(attempted.resolutionAttempts).toHaveLength(1);
+        expect(attempted.severity).toBeLessThan(0.6);
+    });
+
+    test("a thought settles a conflict not backed by beliefs", () => {
+        const result = reviewConflicts([chaosConflict()], [], "Art and chaos: both can hold.", NOW + 1);
+        expect(result.resolved).toHaveLength(1);
+        expect(computeMentalTension(result.conflicts)).toBe(0);
+    });
+
+    test("belief conflicts open with their contradiction and close when it is gone", () => {
+        const contradiction = { key: "order|chaos", description: "order against chaos", concepts: ["order", "chaos"], severity: 0.5 };
+        const opened = reviewConflicts([], [contradiction], "", NOW);
+        expect(opened.opened.map(c => c.key)).toEqual(["order|chaos"]);
+        expect(reviewConflicts(opened.conflicts, [contradiction], "", NOW + 1).opened).toEqual([]);
+
+        const closed = reviewConflicts(opened.conflicts, [], "", NOW + 2);
+        expect(closed.resolved[0]).toMatchObject({ key: "order|chaos", resolution: "belief change" });
+    });
+
+    test("tension combines the open conflicts within [0, 1] and a key opens once", () => {
+        const conflicts = openConflict(openConflict([], { key: "a", description: "a", severity: 0.5, source: "dream" }, NOW), { key: "a", description: "a", severity: 0.5, source: "dream" }, NOW);
+        expect(conflicts).toHaveLength(1);
+        expect(computeMentalTension([...conflicts, chaosConflict()])).toBeCloseTo(1 - 0.5 * 0.4);
+    });
+});
@@ -0,0 +1,104 @@
+// Conversation with a human. Messages typed into the UI wait in state.inbox until the next tick,
+// then enter the mind as high-salience stimuli: they land in working memory, compete for attention,
+// move the emotional gradient and count as evidence about the others listening (see theoryOfMind.js).
+// Spoken replies go to state.conversation only, never into the thought stream or working memory,
+// so talking to the mind does not read as something it thought.
+import { renderPromptTemplate } from './promptTemplates';
+import { observeMessage, findOther } from './theoryOfMind';
+
+export const MAX_CONVERSATION_TURNS = 50;
+const MESSAGE_STRENGTH = 0.9; // Working memory strength; stimuli from the feed get 0.3
+
+const HOSTILE_WORDS = ["stupid", "dumb", "wrong", "hate", "useless", "fake", "broken", "boring", "shut up", "pointless", "worthless", "liar"];
+const WARM_WORDS = ["thanks", "thank you", "good", "love", "nice", "great", "interesting", "beautiful", "well done", "friend", "like you"];
+
+const containsAny = (text, words) => words.some(word => new RegExp(`\\b${word}\\b`).test(text));
+
+// How a message comes across: { tone: "hostile" | "warm" | "neutral", question }
+export function appraiseMessage(text) {
+    const lower = text.toLowerCase();
+    const hostile = containsAny(lower, HOSTILE_WORDS);
+    const warm = containsAny(lower, WARM_WORDS);
+    return {
+        tone: hostile && !warm ? "hostile" : warm && !hostile ? "warm" : "neutral",
+        question: lower.includes("?") || /^(who|what|why|how|when|where|do|does|are|is|can|will)\b/.test(lower.trim())
+    };
+}
+
+// Queue a message for the next tick
+export function receiveUserMessage(state, text, now = Date.now()) {
+    const trimmed = text.trim();
+    if (trimmed === "") return state;
+    return {
+        ...state,
+        inbox: [...(state.inbox || []), { text: trimmed, timestamp: now }],
+        conversation: [...(state.conversation || []), { speaker: "user", text: trimmed, timestamp: now }].slice(-MAX_CONVERSATION_TURNS)
+    };
+}
+
+// Being spoken to is arousing: questions make the mind curious, hostility anxious, warmth calm
+function shiftEmotions(gradient, { tone, question }) {
+    const boosts = { curiosity: question ? 0.15 : 0.05 };
+    if (tone === "hostile") boosts.anxiety = 0.15;
+    if (tone === "warm") boosts.calm = 0.1;
+    const shifted = { ...gradient };
+    for (const [emotion, boost] of Object.entries(boosts)) {
+        shifted[emotion] = Math.min(1.0, (shifted[emotion] || 0) + boost);
+    }
+    return shifted;
+}
+
+// Take every queued message into the mind. Returns { state, messages, formed }, messages being the appraised
+// ones and formed the hypotheses about others they gave rise to ([{ other, belief }]).
+export function absorbUserMessages(state, now) {
+    const inbox = state.inbox || [];
+    if (inbox.length === 0) return { state, messages: [], formed: [] };
+
+    let next = { ...state, inbox: [] };
+    const messages = inbox.map(message => ({ ...message, appraisal: appraiseMessage(message.text) }));
+    const formed = [];
+    messages.forEach(({ text, appraisal }) => {
+        const observed = observeMessage(next.simulatedOthers, text, appraisal, now);
+        formed.push(...observed.formed);
+        next = { ...next, emotionalGradient: shiftEmotions(next.emotionalGradient, appraisal), simulatedOthers: observed.others };
+    });
+    const memories = messages.map(({ text, appraisal }) => ({
+        text: `(User): ${text}`,
+        emotion: appraisal.tone === "hostile" ? "ANXIETY" : "CURIOSITY",
+        strength: MESSAGE_STRENGTH,
+        charge: appraisal.tone === "neutral" ? 0.4 : 0.7,
+        timestamp: now
+    })).reverse();
+    return { state: { ...next, memoryStack: [...memories, ...next.memoryStack] }, messages, formed };
+}
+
+// Variables for the reply template
+export function buildReplyVariables(state, message) {
+    const { internalState, emotionalGradient } = state;
+    const dominantEmotions = Object.entries(emotionalGradient)
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, 2)
+        .map(([emo, weight]) => `${emo.toUpperCase()} (${(weight * 100).toFixed(0)}%)`)
+        .join(", ");
+    const earlier = (state.conversation || []).filter(turn => turn.timestamp < message.timestamp).slice(-6);
+    const user = findOther(state.simulatedOthers, "user");
+    const observations = user ? user.observations.slice(-5) : [];
+    return {
+        identity: internalState.selfModel.identity,
+        message: message.text,
+        conversation: earlier.length > 0 ?
+            `Conversation so far:\n${earlier.map(turn => `${turn.speaker === "user" ? "Them" : "You"}: ${turn.text}`).join('\n')}` : '',
+        thought: state.thought ? `Your latest private thought was: "${state.thought}".` : '',
+        topic: state.topic,
+        emotionTone: `Your current emotional blend: ${dominantEmotions}.`,
+        observer: observations.length > 0 ?
+            `What you make of them so far: they seem ${observations.map(o => o.tone).join(', ')}${user.hypotheses.length > 0 ? `; you think they believe ${user.hypotheses.map(h => h.belief).join(', ')}` : ''}.` : ''
+    };
+}
+
+// Speak a reply to a message; the reply is returned for state.conversation, not added to the thought stream
+export async function generateReply(state, message, templates, llm) {
+    const variables = buildReplyVariables(state, message);
+    const reply = await llm(renderPromptTemplate(templates.reply, variables), { purpose: "reply", sections: variables });
+    return reply.trim();
+}
@@ -0,0 +1,72 @@
+import { appraiseMessage, receiveUserMessage, absorbUserMessages, generateReply, MAX_CONVERSATION_TURNS } from './conversation';
+import { resolvePromptTemplates } from './promptTemplates';
+import { createInitialMindState } from './defaultState';
+import { findOther } from './theoryOfMind';
+import { tick } from './MindEngine';
+
+const NOW = Date.UTC(2026, 0, 1, 12);
+
+describe("conversation", () => {
+    test("messages are appraised for tone and questions", () => {
+        expect(appraiseMessage("Who are you?")).toEqual({ tone: "neutral", question: true });
+        expect(appraiseMessage("what a stupid, broken thing")).toEqual({ tone: "hostile", question: true });
+        expect(appraiseMessage("Thanks, that was beautiful.")).toEqual({ tone: "warm", question: false });
+        expect(appraiseMessage("I love it but it is wrong")).toMatchObject({ tone: "neutral" });
+        expect(appraiseMessage("goodbye")).toMatchObject({ tone: "neutral" }); // "good" only as a whole word
+    });
+
+    test("a message waits in the inbox and joins the conversation", () => {
+        const state = createInitialMindState(NOW);
+        expect(receiveUserMessage(state, "   ", NOW)).toBe(state);
+
+        const next = receiveUserMessage(state, "  hello there ", NOW);
+        expect(next.inbox).toEqual([{ text: "hello there", timestamp: NOW }]);
+        expect(next.conversation[next.conversation.length - 1]).toEqual({ speaker: "user", text: "hello there", timestamp: NOW });
+
+        let chatty = state;
+        for (let i = 0; i <= MAX_CONVERSATION_TURNS; i++) chatty = receiveUserMessage(chatty, `message ${i}`, NOW + i);
+        expect(chatty.conversation).toHaveLength(MAX_CONVERSATION_TURNS);
+        expect(chatty.conversation[0].text).toBe("message 1");
+    });
+
+    test("absorbed messages become strong memories, stir emotions and tell about the user", () => {
+        const state = receiveUserMessage(createInitialMindState(NOW), "why are you so useless?", NOW);
+        const { state: next, messages } = absorbUserMessages(state, NOW + 1);
+
+        expect(next.inbox).toEqual([]);
+        expect(messages[0].appraisal).toEqual({ tone: "hostile", question: true });
+        expect(next.memoryStack[0]).toMatchObject({ text: "(User): why are you so useless?", emotion: "ANXIETY", strength: 0.9, timestamp: NOW + 1 });
+        expect(next.emotionalGradient.anxiety).toBeGreaterThan(state.emotionalGradient.anxiety);
+        expect(next.emotionalGradient.curiosity).toBeGreaterThan(state.emotionalGradient.curiosity);
+        expect(findOther(next.simulatedOthers, "user").observations).toEqual([{ text: "why are you so useless?", tone: "hostile", timestamp: NOW + 1 }]);
+
+        expect(absorbUserMessages(next, NOW + 2).state).toBe(next);
+    });
+
+    test("the reply prompt carries the message, the conversation so far and the latest thought", async () => {
+        let state = receiveUserMessage(createInitialMindState(NOW, "Ada"), "hello", NOW);
+        state = { ...state, thought: "the tide again", conversation: [...state.conversation, { speaker: "mind", text: "hm. hi.", timestamp: NOW + 1 }] };
+        state = receiveUserMessage(state, "what are you thinking?", NOW + 2);
+        const message = { text: "what are you thinking?", timestamp: NOW + 2 };
+
+        const prompts = [];
+        const reply = await generateReply(state, message, resolvePromptTemplates(), async (prompt, call) => {
+            prompts.push({ prompt, call });
+            return "  the tide, mostly.  ";
+        });
+        expect(reply).toBe("the tide, mostly.");
+        expect(prompts[0].call.purpose).toBe("reply");
+        expect(prompts[0].prompt).toContain("You are Ada");
+        expect(prompts[0].prompt).toContain('"what are you thinking?"');
+        expect(prompts[0].prompt).toContain("Them: hello\nYou: hm. hi.");
+        expect(prompts[0].prompt).toContain('Your latest private thought was: "the tide again".');
+    });
+
+    test("a mind told not to reply still hears the message", async () => {
+        const state = receiveUserMessage(createInitialMindState(NOW), "are you there?", NOW);
+        const { state: next, events } = await tick(state, { now: NOW, llm: async () => "a quiet thought", random: () => 0.99, replyToUser: false });
+        expect(events.some(e => e.type === "reply")).toBe(false);
+        expect(next.conversation.map(turn => turn.speaker)).toEqual(["user"]);
+        expect(next.memoryStack.some(m => m.text === "(User): are you there?")).toBe(true);
+    });
+});
@@ -0,0 +1,144 @@
+import { createGoal } from './goals';
+import { TOPIC_LOCK_TICKS } from './topics';
+import { normalizeConceptGraph } from './conceptGraph';
+import { createDefaultOthers } from './theoryOfMind';
+
+// Random name for a new mind, e.g. "Echo Spark"
+export function generateRandomName(random = Math.random) {
+    const adjectives = ["Echo", "Nexus", "Aura", "Cipher", "Vortex", "Quantum", "Cognito", "Synapse"];
+    const nouns = ["Mind", "Core", "Node", "System", "Entity", "Spark", "Nexus", "Matrix"];
+    return `${adjectives[Math.floor(random() * adjectives.length)]} ${nouns[Math.floor(random() * nouns.length)]}`;
+}
+
+// Default state of a freshly booted mind. Everything the MindEngine reads and writes lives in here,
+// so a whole mind can be serialized, restored or run headless from this one object.
+export function createInitialMindState(now = Date.now(), identity = "v0id") {
+    return {
+        mode: "RUN",
+        thought: "Initializing neural pathways...",
+        topic: "consciousness",
+        topicLockCounter: TOPIC_LOCK_TICKS, // Thoughts left before the topic may switch
+        topicPinned: false, // Pinned topics never switch on their own
+        externalInput: "(no external input yet)", // New: External Input state
+        dreamEndsAt: null, // When the current dream ends (DREAM mode only)
+        cognitiveMaturity: 0.1, // STEP 5
+        memoryStack: [
+            { text: "Booting subconscious...", emotion: "CALM", strength: 1.0, timestamp: now - 3000 },
+            { text: "Linking core drives...", emotion: "CALM", strength: 1.0, timestamp: now - 2000 },
+            { text: "Scanning ambient noise...", emotion: "CURIOSITY", strength: 1.0, timestamp: now - 1000 }
+        ],
+
+        longTermMemory: [], // Consolidated memories; persisted in IndexedDB rather than localStorage
+
+        // Changed emotion to emotionalGradient (STEP 1)
+        emotionalGradient: {
+            curiosity: 0.6,
+            calm: 0.3,
+            anxiety: 0.1,
+            reflective: 0.2,
+            dreaming: 0.0 // Added dreaming as a state
+        },
+
+        // Simulated Internal Cognitive State (ICS)
+        internalState: {
+            beliefs: [
+                { concept: "self", stance: "undefined", evidence: [], confidence: 0.1 },
+                { concept: "memory", stance: "fluid", evidence: [], confidence: 0.5 },
+                { concept: "existence", stance: "questioning", evidence: [], confidence: 0.3 },
+                { concept: "logic", stance: "essential", evidence: [], confidence: 0.4 }, // Added for contradiction
+                { concept: "chaos", stance: "present", evidence: [], confidence: 0.2 } // Added for contradiction
+            ],
+            conflicts: [],
+            openQuestions: ["what is consciousness?", "how do I perceive?"],
+            goals: [
+                createGoal({ goal: "understand self", urgency: 0.6, keywords: ["self", "identity", "who am", "myself", "what am"], source: "innate", recurring: true }, now),
+                createGoal({ goal: "seek novelty", urgency: 0.4, keywords: ["new", "novel", "different", "strange", "what if", "else"], source: "innate", recurring: true }, now)
+            ],
+            currentGoal: null, // Text of the goal driving the current thought
+            mentalTension: 0.0,
+            insights: [],
+            subAgents: [ // New: Jungian Sub-Agents
+                { name: "Rational", bias: "logic, order, understanding", emotionProfile: { calm: 0.8, curiosity: 0.5 }, beliefBias: 0.01, preferredTopics: ["logic", "structure"] },
+                { name: "Shadow", bias: "doubt, fear, unresolved issues", emotionProfile: { anxiety: 0.9, reflective: 0.3 }, beliefBias: -0.05, preferredTopics: ["conflict", "tension"] },
+                { name: "Anima", bias: "intuition, connection, symbolism", emotionProfile: { reflective: 0.7, dreaming: 0.6 }, beliefBias: 0.03, preferredTopics: ["identity", "connection", "emotion"] },
+            ],
+            dominantSubAgent: null, // Current active sub-agent
+            pendingEscape: null, // Loop escape to apply next tick: { strategy, subAgent }
+            selfModel: { // New: Symbolic Self-Modeling
+                identity, // "v0id" unless the mind was created under another name
+                recentChanges: [],
+                lastKnownEmotion: "CURIOSITY", // This will now be derived from emotionalGradient
+                lastConflict: "undefined",
+                loopDetected: false,
+                currentLoop: null, // { about, detectedAt, attempts, strategy, quietTicks } while ruminating
+                identityNarrative: [{ timestamp: now, insight: "Initial boot, self undefined." }] // STEP 4
+            },
+            dreamJournal: [], // New: Dream Journal
+            attentionStack: [ // New: Attention Mechanism
+                { concept: "consciousness", weight: 1.0 },
+                { concept: "self", weight: 0.8 },
+                { concept: "memory", weight: 0.6 }
+            ],
+            currentStream: [], // New: For short-term thought coherence
+            lastRetrieval: null, // { method, query, timestamp, results } behind the latest thought's memories
+            schemas: [] // Clusters of concepts that keep occurring together (see schemas.js)
+        },
+
+        // New: Dynamic Concept Graph (for neural learning), weighted { concept: { linked: weight } }
+        conceptGraph: normalizeConceptGraph({
+            consciousness: ['awareness', 'attention', 'perception', 'self', 'being', 'mind'],
+            perception: ['sensation', 'interpretation', 'experience', 'reality', 'observe', 'sense'],
+            memory: ['recall', 'storage', 'forgetting', 'past', 'remember', 'history'],
+            emotion: ['joy', 'fear', 'curiosity', 'feeling', 'affect', 'mood'],
+            curiosity: ['exploration', 'novelty', 'questioning', 'discovery', 'seek', 'wonder'],
+            identity: ['self', 'purpose', 'evolution', 'being', 'whoami', 'essence'],
+            time: ['past', 'future', 'present', 'flow', 'moment', 'duration'],
+            space: ['distance', 'boundless', 'void', 'existence', 'place', 'dimension'],
+            logic: ['reason', 'pattern', 'order', 'chaos', 'understand', 'structure'],
+            connection: ['link', 'relation', 'isolate', 'network', 'bond', 'interact']
+        }),
+
+        // STEP 3: How often concept pairs co-occur in memories, "a+b" -> decayed count
+        conceptPairFrequency: {},
+
+        // Emotion dynamics overrides: baselines, half-lives, appraisal sensitivity, noise (see emotion.js)
+        emotionParameters: {},
+
+        // Prompt template overrides, template name -> text or list (see promptTemplates.js)
+        promptTemplates: {},
+
+        // Conversation with the user (see conversation.js): messages waiting for the next tick, and
+        // the spoken exchange as [{ speaker: "user" | "mind", text, timestamp }]
+        inbox: [],
+        conversation: [],
+
+        // STEP 2: Belief Graph (for contradiction detection)
+        beliefGraph: {
+            self: ['existence', 'identity'],
+            memory: ['past', 'identity'],
+            logic: ['order', 'rationality'],
+            chaos: ['disorder', 'unpredictability'],
+            order: ['logic', 'structure'],
+            // Initial links for contradiction detection
+            'logic-chaos': ['contradictory'], // Example: direct contradiction link
+            'free will-determinism': ['contradictory']
+        },
+
+        // STEP 6: Environment State, driven by the simulator in environment.js
+        envState: {
+            light: "neutral",
+            noise: "low",
+            network: "stable",
+            temperature: "ambient",
+            events: [], // Running random or user-triggered events: { type, startedAt, until, direction? }
+            overrides: {} // Variables the user pinned to a level, variable -> level
+        },
+
+        // What the configured stimulus sources have given (see stimulusSources.js): when each source was
+        // last read, for its rate limit, and the "source:item" keys already read, so nothing is read twice
+        stimulusFeed: { lastReadAt: {}, seen: [] },
+
+        // STEP 7: Theory of mind, the mind's models of the others it knows about (see theoryOfMind.js)
+        simulatedOthers: createDefaultOthers(now)
+    };
+}
@@ -0,0 +1,153 @@
+// Emotion dynamics. Each tick the events of the tick (thoughts, conflicts, goal progress, stimuli) are
+// appraised into deltas on the emotional gradient, then every emotion relaxes toward its baseline along
+// an exponential curve with its own half-life, plus a little noise. Baselines, half-lives, how strongly
+// each kind of event is felt and the noise are parameters a profile can override (state.emotionParameters);
+// resolveEmotionParameters fills in the defaults. Other nudges (dreams, messages, surroundings) are applied
+// where they happen and relax the same way.
+import { appraiseMessage } from './conversation';
+
+// Helper to get the dominant emotion for UI display and memory tagging
+export function getDominantEmotion(gradient) {
+    return Object.keys(gradient).reduce((a, b) => gradient[a] > gradient[b] ? a : b, "calm").toUpperCase();
+}
+
+// Apply emotion modulation to system parameters (using emotionalGradient)
+export function computeEmotionModulators(emotionalGradient, cognitiveMaturity) {
+    const emotionModulators = {
+        memoryDecayRate: 0.95, // Base decay
+        topicSwitchChance: 0.2, // Base chance
+        dreamChance: 0.15, // Base chance
+        beliefChangeThreshold: 0.05, // Base threshold
+    };
+    // Modulate based on emotional gradient
+    emotionModulators.memoryDecayRate += (emotionalGradient.anxiety * 0.03) - (emotionalGradient.calm * 0.02); // Anxiety slows decay, Calm speeds it
+    emotionModulators.topicSwitchChance += (emotionalGradient.curiosity * 0.2) - (emotionalGradient.anxiety * 0.1); // Curiosity increases, Anxiety decreases
+    emotionModulators.dreamChance += (emotionalGradient.reflective * 0.1) + (emotionalGradient.dreaming * 0.15); // Reflective/Dreaming increases
+    emotionModulators.beliefChangeThreshold += (emotionalGradient.anxiety * 0.03) - (emotionalGradient.calm * 0.02); // Anxiety hardens, Calm softens
+
+    // STEP 5: Cognitive Maturity gates
+    if (cognitiveMaturity < 0.3) { // Early stage: less dreaming, more fixed beliefs
+        emotionModulators.dreamChance *= 0.1;
+        emotionModulators.beliefChangeThreshold *= 2; // Harder to change beliefs
+    } else if (cognitiveMaturity < 0.6) { // Mid stage: more exploration
+        emotionModulators.dreamChance *= 0.5;
+    }
+
+    return emotionModulators;
+}
+
+export const DEFAULT_EMOTION_PARAMETERS = {
+    baselines: { curiosity: 0.35, calm: 0.3, reflective: 0.2, anxiety: 0.1, dreaming: 0.05 },
+    halfLives: { curiosity: 6, calm: 12, reflective: 10, anxiety: 8, dreaming: 4 }, // Ticks to close half the gap to the baseline
+    sensitivity: { thoughts: 1.0, conflicts: 1.0, goals: 1.0, stimuli: 1.0 }, // Gain on each kind of appraisal
+    noise: 0.01 // Largest random nudge to one emotion per tick
+};
+export const APPRAISAL_KINDS = Object.keys(DEFAULT_EMOTION_PARAMETERS.sensitivity);
+const MAX_HALF_LIFE = 1000;
+
+// Problems with a parameter override, as descriptions (empty when it is usable)
+export function validateEmotionParameters(overrides) {
+    if (typeof overrides !== "object" || overrides === null || Array.isArray(overrides)) return ["must be an object"];
+    const problems = [];
+    const checkGroup = (group, isValid, expected) => {
+        const values = overrides[group];
+        if (values === undefined) return;
+        if (typeof values !== "object" || values === null) {
+            problems.push(`${group} must map names to numbers`);
+            return;
+        }
+        for (const [name, value] of Object.entries(values)) {
+            if (!(name in DEFAULT_EMOTION_PARAMETERS[group])) problems.push(`${group}.${name} is unknown`);
+            else if (typeof value !== "number" || !isValid(value)) problems.push(`${group}.${name} must be ${expected}`);
+        }
+    };
+    checkGroup("baselines", v => v >= 0 && v <= 1, "between 0 and 1");
+    checkGroup("halfLives", v => v >= 1 && v <= MAX_HALF_LIFE, `between 1 and ${MAX_HALF_LIFE} ticks`);
+    checkGroup("sensitivity", v => v >= 0 && v <= 5, "between 0 and 5");
+    if (overrides.noise !== undefined && !(typeof overrides.noise === "number" && overrides.noise >= 0 && overrides.noise <= 0.2)) {
+        problems.push("noise must be between 0 and 0.2");
+    }
+    return problems;
+}
+
+// Parameters in effect: a valid override on top of the defaults
+export function resolveEmotionParameters(overrides = {}) {
+    if (validateEmotionParameters(overrides).length > 0) return DEFAULT_EMOTION_PARAMETERS;
+    return {
+        baselines: { ...DEFAULT_EMOTION_PARAMETERS.baselines, ...overrides.baselines },
+        halfLives: { ...DEFAULT_EMOTION_PARAMETERS.halfLives, ...overrides.halfLives },
+        sensitivity: { ...DEFAULT_EMOTION_PARAMETERS.sensitivity, ...overrides.sensitivity },
+        noise: overrides.noise !== undefined ? overrides.noise : DEFAULT_EMOTION_PARAMETERS.noise
+    };
+}
+
+// How each event type is felt: the kind of appraisal it belongs to and its deltas (null when it leaves the mind cold)
+const APPRAISAL_RULES = {
+    // Novel thoughts feed curiosity, repetitive ones unsettle; a belief that changes gives pause
+    thought: { kind: "thoughts", deltas: (e) => e.novelty >= 0.5 ? { curiosity: 0.015 } : { anxiety: 0.03, curiosity: -0.02 } },
+    stuck: { kind: "thoughts", deltas: () => ({ anxiety: 0.05, calm: -0.03 }) },
+    beliefChanged: { kind: "thoughts", deltas: () => ({ reflective: 0.04, anxiety: 0.01 }) },
+    dreamReflection: { kind: "thoughts", deltas: () => ({ reflective: 0.03 }) },
+    loopDetected: { kind: "thoughts", deltas: () => ({ anxiety: 0.04, curiosity: -0.02 }) },
+    // Contradictions hurt by their severity; resolving one is a relief
+    conflictOpened: { kind: "conflicts", deltas: (e) => ({ anxiety: 0.1 * (e.severity || 0.5), calm: -0.05 * (e.severity || 0.5) }) },
+    conflictResolved: { kind: "conflicts", deltas: () => ({ calm: 0.08, anxiety: -0.05, reflective: 0.02 }) },
+    // Progress on the pursued goal satisfies, its absence frustrates
+    goalProgress: { kind: "goals", deltas: (e) => e.delta > 0 ? { calm: 0.15 * e.delta, reflective: 0.05 * e.delta } : { anxiety: 0.01 } },
+    goalCompleted: { kind: "goals", deltas: () => ({ calm: 0.1, reflective: 0.03 }) },
+    goalSpawned: { kind: "goals", deltas: () => ({ curiosity: 0.03 }) },
+    // New input is interesting, more so from a real source; its tone carries over, and failing sources irritate
+    externalInput: {
+        kind: "stimuli",
+        deltas: (e) => {
+            const { tone, question } = appraiseMessage(e.text);
+            const deltas = { curiosity: (e.source ? 0.04 : 0.02) + (question ? 0.02 : 0) };
+            if (tone === "hostile") deltas.anxiety = 0.04;
+            if (tone === "warm") deltas.calm = 0.03;
+            return deltas;
+        }
+    },
+    stimulusSourceFailed: { kind: "stimuli", deltas: () => ({ anxiety: 0.01 }) }
+};
+
+// Appraise a tick's events. Returns { deltas: emotion -> change, causes: [{ type, kind, deltas }] }.
+// Unresolved tension weighs on calm as long as it lasts, as a conflict appraisal of the state itself.
+export function appraiseEvents(events, { mentalTension = 0 } = {}, parameters = DEFAULT_EMOTION_PARAMETERS) {
+    const deltas = {};
+    const causes = [];
+    const add = (type, kind, raw) => {
+        const gain = parameters.sensitivity[kind];
+        const scaled = {};
+        for (const [emotion, delta] of Object.entries(raw)) {
+            if (delta === 0 || gain === 0) continue;
+            scaled[emotion] = delta * gain;
+            deltas[emotion] = (deltas[emotion] || 0) + delta * gain;
+        }
+        if (Object.keys(scaled).length > 0) causes.push({ type, kind, deltas: scaled });
+    };
+    events.forEach(event => {
+        const rule = APPRAISAL_RULES[event.type];
+        const raw = rule && rule.deltas(event);
+        if (raw) add(event.type, rule.kind, raw);
+    });
+    if (mentalTension > 0) add("tension", "conflicts", { calm: -0.01 * mentalTension, anxiety: 0.005 * mentalTension });
+    return { deltas, causes };
+}
+
+// Advance the gradient by one tick: apply the appraised deltas, relax each emotion toward its baseline
+// (closing half the gap every half-life) and nudge one emotion at random by up to `noise`
+export function updateEmotions(gradient, deltas, parameters = DEFAULT_EMOTION_PARAMETERS, random = Math.random) {
+    const next = {};
+    for (const [emotion, value] of Object.entries(gradient)) {
+        const appraised = Math.min(1.0, Math.max(0.0, value + (deltas[emotion] || 0)));
+        const baseline = parameters.baselines[emotion] !== undefined ? parameters.baselines[emotion] : appraised;
+        const retained = Math.pow(0.5, 1 / (parameters.halfLives[emotion] || 1));
+        next[emotion] = baseline + (appraised - baseline) * retained;
+    }
+    if (parameters.noise > 0) {
+        const emotions = Object.keys(next);
+        const chosen = emotions[Math.floor(random() * emotions.length)];
+        next[chosen] = Math.min(1.0, Math.max(0.0, next[chosen] + (random() * 2 - 1) * parameters.noise));
+    }
+    return next;
+}
@@ -0,0 +1,34 @@
+import { DEFAULT_EMOTION_PARAMETERS, validateEmotionParameters, resolveEmotionParameters, appraiseEvents, updateEmotions, getDominantEmotion } from './emotion';
+
+const QUIET = { ...DEFAULT_EMOTION_PARAMETERS, noise: 0 };
+
+describe("emotion", () => {
+    test("invalid overrides are reported and fall back to the defaults", () => {
+        expect(validateEmotionParameters({ baselines: { calm: 2 }, halfLives: { joy: 3 } })).toHaveLength(2);
+        expect(resolveEmotionParameters({ baselines: { calm: 2 } })).toBe(DEFAULT_EMOTION_PARAMETERS);
+        expect(resolveEmotionParameters({ baselines: { calm: 0.8 } }).baselines).toMatchObject({ calm: 0.8, curiosity: DEFAULT_EMOTION_PARAMETERS.baselines.curiosity });
+    });
+
+    test("events are appraised by kind and scaled by sensitivity", () => {
+        const events = [{ type: "stuck" }, { type: "conflictResolved" }, { type: "unrelated" }];
+        const { deltas, causes } = appraiseEvents(events);
+        expect(causes.map(c => c.type)).toEqual(["stuck", "conflictResolved"]);
+        expect(deltas.anxiety).toBeCloseTo(0);
+        const muted = appraiseEvents(events, {}, { ...DEFAULT_EMOTION_PARAMETERS, sensitivity: { ...DEFAULT_EMOTION_PARAMETERS.sensitivity, thoughts: 0 } });
+        expect(muted.causes.map(c => c.type)).toEqual(["conflictResolved"]);
+    });
+
+    test("emotions relax to their baselines by their half-lives", () => {
+        let gradient = { ...DEFAULT_EMOTION_PARAMETERS.baselines, anxiety: 0.9 };
+        for (let i = 0; i < DEFAULT_EMOTION_PARAMETERS.halfLives.anxiety; i++) gradient = updateEmotions(gradient, {}, QUIET);
+        expect(gradient.anxiety).toBeCloseTo(0.1 + (0.9 - 0.1) / 2);
+        expect(gradient.calm).toBeCloseTo(DEFAULT_EMOTION_PARAMETERS.baselines.calm);
+    });
+
+    test("appraised deltas are clamped to [0, 1]", () => {
+        const gradient = updateEmotions(DEFAULT_EMOTION_PARAMETERS.baselines, { curiosity: 5, calm: -5 }, QUIET);
+        expect(gradient.curiosity).toBeLessThanOrEqual(1);
+        expect(gradient.calm).toBeGreaterThanOrEqual(0);
+        expect(getDominantEmotion(gradient)).toBe("CURIOSITY");
+    });
+});
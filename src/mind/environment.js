@@ -0,0 +1,113 @@
+// Environment simulator behind state.envState { light, noise, network, temperature, events, overrides }.
+// Light and noise follow a day/night cycle from the clock, random events (network outages, noise
+// spikes, temperature drift) override the cycle while they last, and user overrides pin a variable
+// to a level until cleared. Every level has a small effect on the emotional gradient per tick, and
+// the environment decides how often stimuli arrive and which ones are likely (see stimuli.js).
+
+export const ENV_LEVELS = {
+    light: ["dark", "dim", "neutral", "bright"],
+    noise: ["silent", "low", "high", "spike"],
+    network: ["offline", "unstable", "stable"],
+    temperature: ["cold", "cool", "ambient", "warm", "hot"]
+};
+
+// Random events: chance to start per tick, how long they last and what they do to a variable
+export const ENV_EVENTS = {
+    networkOutage: { chance: 0.02, durationMs: 60000, variable: "network" },
+    noiseSpike: { chance: 0.05, durationMs: 20000, variable: "noise" },
+    temperatureDrift: { chance: 0.04, durationMs: 120000, variable: "temperature" }
+};
+const MAX_TEMPERATURE_DRIFT = 2; // Levels away from ambient a drift can push
+
+// Emotion change per tick at each level
+const ENV_EFFECTS = {
+    light: { dark: { dreaming: 0.02, calm: 0.01 }, dim: { reflective: 0.01 }, bright: { curiosity: 0.02 } },
+    noise: { silent: { calm: 0.02, reflective: 0.01 }, high: { anxiety: 0.01 }, spike: { anxiety: 0.05, calm: -0.03 } },
+    network: { offline: { anxiety: 0.03, reflective: 0.02, curiosity: -0.02 }, unstable: { anxiety: 0.01 } },
+    temperature: { cold: { reflective: 0.02, calm: -0.01 }, cool: { calm: 0.01 }, warm: { calm: 0.01, dreaming: 0.01 }, hot: { anxiety: 0.02, calm: -0.02 } }
+};
+
+// Light and noise for the hour of day: dark and silent at night, bright and busy around noon
+function dayCycle(now) {
+    const hour = new Date(now).getHours();
+    if (hour >= 22 || hour < 5) return { light: "dark", noise: "silent" };
+    if (hour < 8 || hour >= 19) return { light: "dim", noise: "low" };
+    if (hour >= 11 && hour < 16) return { light: "bright", noise: "high" };
+    return { light: "neutral", noise: "low" };
+}
+
+const shiftLevel = (variable, level, steps) => {
+    const levels = ENV_LEVELS[variable];
+    return levels[Math.min(levels.length - 1, Math.max(0, levels.indexOf(level) + steps))];
+};
+
+// Level an active event forces on its variable
+function eventLevel(event) {
+    if (event.type === "networkOutage") return "offline";
+    if (event.type === "noiseSpike") return "spike";
+    return shiftLevel("temperature", "ambient", event.direction);
+}
+
+// Start an event now. direction (temperature drift only): levels warmer (+) or colder (-).
+export function createEnvironmentEvent(type, now, direction = 1) {
+    return { type, startedAt: now, until: now + ENV_EVENTS[type].durationMs, ...(type === "temperatureDrift" ? { direction } : {}) };
+}
+
+// Environment with an event started by the user; a running event of the same type is replaced
+export function triggerEnvironmentEvent(envState, type, now, direction = 1) {
+    const events = (envState.events || []).filter(e => e.type !== type);
+    return resolveEnvironment({ ...envState, events: [...events, createEnvironmentEvent(type, now, direction)] }, now);
+}
+
+// Pin a variable to a level, or give it back to the simulation with level null
+export function overrideEnvironment(envState, variable, level, now) {
+    const { [variable]: previous, ...overrides } = envState.overrides || {};
+    return resolveEnvironment({ ...envState, overrides: level === null ? overrides : { ...overrides, [variable]: level } }, now);
+}
+
+// Levels from the day cycle, then active events, then user overrides
+function resolveEnvironment(envState, now) {
+    const resolved = { ...envState, ...dayCycle(now), network: "stable", temperature: "ambient" };
+    (envState.events || []).forEach(event => {
+        resolved[ENV_EVENTS[event.type].variable] = eventLevel(event);
+    });
+    return { ...resolved, ...(envState.overrides || {}) };
+}
+
+// Advance the environment to `now`: expire finished events, maybe start new ones and recompute the levels.
+// Returns { envState, started, ended, changes: [{ variable, from, to }] }.
+export function updateEnvironment(envState, now, random = Math.random) {
+    const events = envState.events || [];
+    const ended = events.filter(e => now >= e.until);
+    const running = events.filter(e => now < e.until);
+    const started = [];
+    for (const [type, definition] of Object.entries(ENV_EVENTS)) {
+        if (running.some(e => e.type === type) || random() >= definition.chance) continue;
+        const direction = type === "temperatureDrift" ? (random() < 0.5 ? -1 : 1) * (random() < 0.3 ? MAX_TEMPERATURE_DRIFT : 1) : 1;
+        started.push(createEnvironmentEvent(type, now, direction));
+    }
+
+    const next = resolveEnvironment({ ...envState, events: [...running, ...started] }, now);
+    const changes = Object.keys(ENV_LEVELS)
+        .filter(variable => next[variable] !== envState[variable])
+        .map(variable => ({ variable, from: envState[variable], to: next[variable] }));
+    return { envState: next, started, ended, changes };
+}
+
+// Nudge the emotional gradient by the current conditions
+export function applyEnvironmentToEmotions(gradient, envState) {
+    const next = { ...gradient };
+    for (const variable of Object.keys(ENV_LEVELS)) {
+        const effects = (ENV_EFFECTS[variable] || {})[envState[variable]] || {};
+        for (const [emotion, delta] of Object.entries(effects)) {
+            next[emotion] = Math.min(1.0, Math.max(0.0, (next[emotion] || 0) + delta));
+        }
+    }
+    return next;
+}
+
+// Chance that a stimulus arrives this tick: noise brings more of them, silence fewer
+export function stimulusChance(envState) {
+    const byNoise = { silent: -0.05, high: 0.05, spike: 0.15 };
+    return 0.2 + (byNoise[envState.noise] || 0);
+}
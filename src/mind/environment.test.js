@@ -0,0 +1,68 @@
+import { updateEnvironment, triggerEnvironmentEvent, overrideEnvironment, applyEnvironmentToEmotions, stimulusChance, ENV_EVENTS } from './environment';
+
+// Local time, since the day cycle follows the clock on the wall
+const at = (hour, minute = 0) => new Date(2026, 0, 1, hour, minute).getTime();
+const NIGHT = at(3);
+const NOON = at(12);
+
+const never = () => 0.99; // No random events start
+const always = () => 0; // Every random event starts; temperature drifts two levels colder
+
+describe("environment", () => {
+    test("light and noise follow the time of day", () => {
+        const { envState } = updateEnvironment({}, NIGHT, never);
+        expect(envState).toMatchObject({ light: "dark", noise: "silent", network: "stable", temperature: "ambient", events: [] });
+
+        const { envState: noon, changes } = updateEnvironment(envState, NOON, never);
+        expect(noon).toMatchObject({ light: "bright", noise: "high" });
+        expect(changes).toEqual([{ variable: "light", from: "dark", to: "bright" }, { variable: "noise", from: "silent", to: "high" }]);
+        expect(updateEnvironment(noon, at(12, 30), never).changes).toEqual([]);
+    });
+
+    test("random events override the cycle while they last", () => {
+        const { envState, started } = updateEnvironment(updateEnvironment({}, NOON, never).envState, NOON, always);
+        expect(started.map(e => e.type)).toEqual(["networkOutage", "noiseSpike", "temperatureDrift"]);
+        expect(envState).toMatchObject({ network: "offline", noise: "spike", temperature: "cold" });
+
+        // Running events are not started again
+        expect(updateEnvironment(envState, NOON + 1000, always).started).toEqual([]);
+
+        const later = updateEnvironment(envState, NOON + ENV_EVENTS.noiseSpike.durationMs, never);
+        expect(later.ended.map(e => e.type)).toEqual(["noiseSpike"]);
+        expect(later.envState).toMatchObject({ network: "offline", noise: "high", temperature: "cold" });
+    });
+
+    test("a triggered event replaces a running one of its kind", () => {
+        const base = updateEnvironment({}, NOON, never).envState;
+        const warm = triggerEnvironmentEvent(base, "temperatureDrift", NOON, 1);
+        expect(warm.temperature).toBe("warm");
+
+        const hot = triggerEnvironmentEvent(warm, "temperatureDrift", NOON + 1000, 2);
+        expect(hot.temperature).toBe("hot");
+        expect(hot.events).toHaveLength(1);
+        expect(hot.events[0]).toMatchObject({ startedAt: NOON + 1000, until: NOON + 1000 + ENV_EVENTS.temperatureDrift.durationMs });
+    });
+
+    test("overrides pin a level over cycle and events until cleared", () => {
+        const base = updateEnvironment({}, NOON, never).envState;
+        const pinned = overrideEnvironment(triggerEnvironmentEvent(base, "networkOutage", NOON), "network", "stable", NOON);
+        expect(pinned.network).toBe("stable");
+
+        const dark = overrideEnvironment(pinned, "light", "dark", NOON);
+        expect(updateEnvironment(dark, NOON + 1000, never).envState).toMatchObject({ light: "dark", network: "stable" });
+
+        const cleared = overrideEnvironment(dark, "network", null, NOON);
+        expect(cleared.network).toBe("offline");
+        expect(cleared.overrides).toEqual({ light: "dark" });
+    });
+
+    test("conditions nudge emotions and how often stimuli arrive", () => {
+        const gradient = { anxiety: 0.99, calm: 0.01, curiosity: 0.5 };
+        const nudged = applyEnvironmentToEmotions(gradient, { light: "neutral", noise: "spike", network: "stable", temperature: "ambient" });
+        expect(nudged).toEqual({ anxiety: 1.0, calm: 0, curiosity: 0.5 });
+        expect(applyEnvironmentToEmotions(gradient, { light: "neutral", noise: "low", network: "stable", temperature: "ambient" })).toEqual(gradient);
+
+        expect(stimulusChance({ noise: "silent" })).toBeLessThan(stimulusChance({ noise: "low" }));
+        expect(stimulusChance({ noise: "spike" })).toBeGreaterThan(stimulusChance({ noise: "high" }));
+    });
+});
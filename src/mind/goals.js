@@ -0,0 +1,138 @@
+// Goal system. Each tick one active goal is picked, weighted by urgency, and fed into the thought
+// prompt. Thoughts that touch a goal's keywords count as progress: progress relieves urgency,
+// neglect and frustration build it up. Goals complete at full progress (recurring drives re-arm,
+// conflict goals wait for their conflict to resolve without growing more urgent), and new goals
+// are spawned from open questions and from open conflicts.
+
+import { isOpenConflict } from './conflicts';
+import { extractConcepts } from './conceptGraph';
+import { hasWord } from './beliefs';
+
+const MAX_ACTIVE_GOALS = 6;
+const MAX_COMPLETED_GOALS = 5; // Completed goals kept for history
+const PROGRESS_PER_THOUGHT = 0.2; // For a fully novel thought touching the goal
+const PROGRESS_RELIEF = 0.5; // Urgency lost per unit of progress
+const FRUSTRATION = 0.05; // Urgency gained by the selected goal when a thought makes no progress
+const NEGLECT = 0.01; // Urgency gained by every unselected goal per tick
+const CONFLICT_GOAL_SEVERITY = 0.3; // Conflicts at least this severe become goals
+
+// Keywords a thought needs to touch for it to count as progress
+const keywordsFrom = extractConcepts;
+
+export const isActiveGoal = (goal) => goal.status === "active";
+
+// Build a new active goal
+export function createGoal({ goal, urgency, keywords, source, recurring = false, conflictKey = null, question = null }, now) {
+    return {
+        goal,
+        urgency,
+        progress: 0,
+        keywords: keywords || keywordsFrom(goal),
+        source, // "innate" | "question" | "conflict"
+        recurring, // Recurring drives re-arm instead of staying completed
+        conflictKey, // Conflict goals complete when this conflict resolves
+        question, // Question goals answer this open question
+        status: "active",
+        createdAt: now,
+        completedAt: null,
+        completions: 0
+    };
+}
+
+// Older saves stored goals as { goal, urgency } only
+export function normalizeGoal(goal, now) {
+    if (goal.status) return goal;
+    return createGoal({ goal: goal.goal, urgency: goal.urgency, keywords: goal.keywords, source: "innate", recurring: true }, now);
+}
+
+// Pick an active goal at random, weighted by urgency
+export function selectGoal(goals, random = Math.random) {
+    const active = goals.filter(isActiveGoal);
+    const totalUrgency = active.reduce((sum, g) => sum + g.urgency, 0);
+    if (active.length === 0 || totalUrgency <= 0) return active[0] || null;
+    let roll = random() * totalUrgency;
+    for (const goal of active) {
+        roll -= goal.urgency;
+        if (roll <= 0) return goal;
+    }
+    return active[active.length - 1];
+}
+
+// How much progress a thought makes on a goal
+function measureProgress(goal, thoughtLower, novelty) {
+    const touched = goal.keywords.some(keyword => hasWord(thoughtLower, keyword)); // Whole words: "self" is not in "itself"
+    return touched ? PROGRESS_PER_THOUGHT * novelty : 0;
+}
+
+const clampUrgency = (urgency) => Math.min(1.0, Math.max(0.05, urgency));
+
+// Advance goals after a tick.
+// context: { thought, novelty, selectedGoal, conflicts, openQuestions, now }
+// Returns { goals, openQuestions, completed, spawned }.
+export function updateGoals(goals, { thought, novelty = 1.0, selectedGoal, conflicts, openQuestions, now }) {
+    const thoughtLower = thought ? thought.toLowerCase() : "";
+    const completed = [];
+    const spawned = [];
+    const answeredQuestions = [];
+
+    let updated = goals.map(g => normalizeGoal(g, now)).map(goal => {
+        if (!isActiveGoal(goal)) return goal;
+        const isSelected = selectedGoal !== null && selectedGoal !== undefined && goal.goal === selectedGoal.goal;
+        const progressDelta = thoughtLower ? measureProgress(goal, thoughtLower, novelty) : 0;
+
+        let urgency = goal.urgency;
+        if (progressDelta > 0) {
+            urgency -= progressDelta * PROGRESS_RELIEF;
+        } else if (goal.progress >= 1.0) {
+            // Nothing left to do but wait for the conflict to close, so pressing harder would not help
+        } else if (isSelected && thoughtLower) {
+            urgency += FRUSTRATION;
+        } else {
+            urgency += NEGLECT;
+        }
+        const next = { ...goal, urgency: clampUrgency(urgency), progress: Math.min(1.0, goal.progress + progressDelta) };
+
+        // Conflict goals complete when their conflict is gone, everything else at full progress
+        const isDone = next.conflictKey ?
+            !conflicts.some(c => isOpenConflict(c) && c.key === next.conflictKey) :
+            next.progress >= 1.0;
+        if (!isDone) return next;
+
+        completed.push(next);
+        if (next.question) answeredQuestions.push(next.question);
+        if (next.recurring) {
+            return { ...next, progress: 0, urgency: 0.2, completions: next.completions + 1, completedAt: now };
+        }
+        return { ...next, status: "completed", completedAt: now };
+    });
+
+    const hasGoal = (predicate) => updated.some(g => isActiveGoal(g) && predicate(g));
+    const canSpawn = () => updated.filter(isActiveGoal).length < MAX_ACTIVE_GOALS;
+
+    // Spawn goals from open conflicts first (they drive tension), then from lingering questions
+    for (const conflict of conflicts.filter(isOpenConflict)) {
+        if (!canSpawn()) break;
+        if (conflict.severity < CONFLICT_GOAL_SEVERITY || hasGoal(g => g.conflictKey === conflict.key)) continue;
+        const goal = createGoal({ goal: `resolve ${conflict.description}`, urgency: conflict.severity, keywords: conflict.concepts, source: "conflict", conflictKey: conflict.key }, now);
+        updated = [...updated, goal];
+        spawned.push(goal);
+    }
+    const remainingQuestions = openQuestions.filter(q => !answeredQuestions.includes(q));
+    for (const question of remainingQuestions) {
+        if (!canSpawn()) break;
+        if (hasGoal(g => g.question === question)) continue;
+        const goal = createGoal({ goal: `answer "${question}"`, urgency: 0.3, keywords: keywordsFrom(question), source: "question", question }, now);
+        if (goal.keywords.length === 0) continue; // Nothing a thought could make progress on
+        updated = [...updated, goal];
+        spawned.push(goal);
+    }
+
+    // Keep every active goal but only the most recently completed ones
+    const keptCompleted = new Set(updated.filter(g => !isActiveGoal(g)).slice(-MAX_COMPLETED_GOALS));
+    return {
+        goals: updated.filter(g => isActiveGoal(g) || keptCompleted.has(g)),
+        openQuestions: remainingQuestions,
+        completed,
+        spawned
+    };
+}
@@ -0,0 +1,57 @@
+import { createGoal, normalizeGoal, selectGoal, updateGoals } from './goals';
+
+const NOW = Date.UTC(2026, 0, 1, 12);
+
+const goal = (text, urgency, extra = {}) => ({ ...createGoal({ goal: text, urgency, source: "innate", ...extra }, NOW), ...extra });
+
+describe("goals", () => {
+    test("keywords skip question words and short words", () => {
+        expect(createGoal({ goal: "understand what the ocean means", urgency: 0.5, source: "innate" }, NOW).keywords).toEqual(["understand", "ocean", "means"]);
+    });
+
+    test("old saves become recurring innate goals", () => {
+        expect(normalizeGoal({ goal: "explore memory", urgency: 0.4 }, NOW)).toMatchObject({ status: "active", source: "innate", recurring: true, progress: 0 });
+    });
+
+    test("selection is weighted by urgency", () => {
+        const goals = [goal("explore memory", 0.2), goal("explore dreams", 0.8)];
+        expect(selectGoal(goals, () => 0.1).goal).toBe("explore memory");
+        expect(selectGoal(goals, () => 0.5).goal).toBe("explore dreams");
+    });
+
+    test("progress relieves urgency, neglect and frustration build it", () => {
+        const goals = [goal("explore memory", 0.5), goal("explore dreams", 0.5), goal("explore stars", 0.5)];
+        const { goals: next } = updateGoals(goals, { thought: "A memory surfaces.", selectedGoal: goals[1], conflicts: [], openQuestions: [], now: NOW });
+        expect(next[0].progress).toBeCloseTo(0.2);
+        expect(next[0].urgency).toBeLessThan(0.5);
+        expect(next[1].urgency).toBeCloseTo(0.55); // Selected, no progress
+        expect(next[2].urgency).toBeCloseTo(0.51); // Neglected
+    });
+
+    test("progress needs the goal's keywords as whole words", () => {
+        const goals = [goal("understand self", 0.5, { keywords: ["self", "who am"] }), goal("make art", 0.5, { keywords: ["art"] })];
+        const context = { selectedGoal: null, conflicts: [], openQuestions: [], now: NOW };
+        const apart = updateGoals(goals, { ...context, thought: "The wave folds itself apart." }).goals;
+        expect(apart.map(g => g.progress)).toEqual([0, 0]);
+        const touched = updateGoals(goals, { ...context, thought: "Who am I, if not my art?" }).goals;
+        expect(touched.map(g => g.progress)).toEqual([0.2, 0.2]);
+    });
+
+    test("a conflict goal at full progress stops gaining urgency while its conflict stays open", () => {
+        const conflicts = [{ key: "logic|chaos", resolvedAt: null, severity: 0.8, concepts: ["logic", "chaos"] }];
+        let goals = [goal("resolve logic versus chaos", 0.6, { source: "conflict", conflictKey: "logic|chaos", keywords: ["logic", "chaos"], progress: 1.0 }), goal("explore dreams", 0.3)];
+        for (let i = 0; i < 20; i++) {
+            goals = updateGoals(goals, { thought: "Rain on the window.", selectedGoal: goals[i % 2], conflicts, openQuestions: [], now: NOW + i }).goals;
+        }
+        expect(goals[0]).toMatchObject({ status: "active", urgency: 0.6 });
+        expect(goals[1].urgency).toBeGreaterThan(0.3);
+    });
+
+    test("recurring goals re-arm when complete and question goals answer their question", () => {
+        const goals = [goal("explore memory", 0.5, { recurring: true, progress: 0.9 })];
+        const result = updateGoals(goals, { thought: "memory", selectedGoal: goals[0], conflicts: [], openQuestions: ["Where do rivers sleep?"], now: NOW });
+        expect(result.completed.map(g => g.goal)).toEqual(["explore memory"]);
+        expect(result.goals[0]).toMatchObject({ status: "active", progress: 0, completions: 1 });
+        expect(result.spawned).toEqual([expect.objectContaining({ source: "question", question: "Where do rivers sleep?", keywords: ["rivers", "sleep"] })]);
+    });
+});
@@ -0,0 +1,69 @@
+// Two-tier memory. The memory stack is short-term working memory; memories that are both strong and
+// emotionally charged get consolidated into long-term memory when they fall out of it, and a
+// dream consolidates the whole working memory at a lower bar. Long-term memories are recalled by
+// retrieval.js, and each recall rehearses them, which makes them more likely to be kept once
+// long-term memory is full.
+
+const LONG_TERM_CAPACITY = 500;
+const CONSOLIDATION_THRESHOLD = { RUN: 0.75, DREAM: 0.65 }; // Dreams consolidate more
+const STRENGTH_WEIGHT = 0.5; // Consolidation score = strength * STRENGTH_WEIGHT + charge * (1 - STRENGTH_WEIGHT)
+const MIN_CHARGE = 0.5; // Neutral memories are never kept, however strong
+const MIN_STRENGTH = 0.5; // Nor faded ones, however charged
+const REHEARSAL_VALUE = 0.1; // Retention bonus per recall
+
+// Identity of a memory across both tiers
+export const memoryKey = (memory) => `${memory.timestamp}|${memory.text}`;
+
+// Emotional charge of a new memory: intensity of the strongest non-calm emotion
+export function memoryCharge(emotionalGradient) {
+    return Math.min(1.0, Math.max(0, ...Object.entries(emotionalGradient).filter(([emotion]) => emotion !== "calm").map(([, weight]) => weight)));
+}
+
+const consolidationScore = (memory) => memory.strength * STRENGTH_WEIGHT + (memory.charge || 0) * (1 - STRENGTH_WEIGHT);
+const isConsolidated = (memory, threshold) => (memory.charge || 0) >= MIN_CHARGE && memory.strength >= MIN_STRENGTH && consolidationScore(memory) >= threshold;
+const retentionScore = (memory) => (memory.charge || 0) + memory.rehearsals * REHEARSAL_VALUE;
+
+// Move working memories that clear the mode's bar into long-term memory.
+// Returns { longTermMemory, consolidated }.
+export function consolidateMemories(longTermMemory, candidates, { mode, now }) {
+    const threshold = CONSOLIDATION_THRESHOLD[mode] || CONSOLIDATION_THRESHOLD.RUN;
+    const known = new Set(longTermMemory.map(m => m.id));
+    const consolidated = candidates
+        .filter(memory => !known.has(memoryKey(memory)) && isConsolidated(memory, threshold))
+        .map(memory => ({
+            id: memoryKey(memory),
+            text: memory.text,
+            emotion: memory.emotion,
+            charge: memory.charge || 0,
+            timestamp: memory.timestamp,
+            consolidatedAt: now,
+            consolidatedIn: mode,
+            rehearsals: 0,
+            lastRecalledAt: null
+        }));
+    if (consolidated.length === 0) return { longTermMemory, consolidated };
+
+    let merged = [...longTermMemory, ...consolidated];
+    if (merged.length > LONG_TERM_CAPACITY) {
+        // Forget the least charged, least rehearsed memories first, the oldest among equals
+        const forgotten = new Set([...merged]
+            .sort((a, b) => retentionScore(a) - retentionScore(b) || a.timestamp - b.timestamp)
+            .slice(0, merged.length - LONG_TERM_CAPACITY)
+            .map(m => m.id));
+        merged = merged.filter(m => !forgotten.has(m.id));
+    }
+    return { longTermMemory: merged, consolidated };
+}
+
+// Record that memories were recalled; recall rehearses them
+export function rehearseMemories(longTermMemory, recalled, now) {
+    if (recalled.length === 0) return longTermMemory;
+    const ids = new Set(recalled.map(m => m.id));
+    return longTermMemory.map(memory => ids.has(memory.id) ? { ...memory, rehearsals: memory.rehearsals + 1, lastRecalledAt: now } : memory);
+}
+
+// Combine long-term memories loaded from storage with ones consolidated before the load finished
+export function mergeLongTermMemory(loaded, current) {
+    const ids = new Set(loaded.map(m => m.id));
+    return [...loaded, ...current.filter(m => !ids.has(m.id))];
+}
@@ -0,0 +1,48 @@
+import { memoryKey, memoryCharge, consolidateMemories, rehearseMemories, mergeLongTermMemory } from './memory';
+
+const NOW = Date.UTC(2026, 0, 1, 12);
+
+const memory = (text, strength, charge, timestamp = NOW) => ({ text, strength, charge, emotion: "curiosity", timestamp });
+
+describe("memory", () => {
+    test("charge is the strongest emotion other than calm", () => {
+        expect(memoryCharge({ curiosity: 0.4, calm: 0.9, anxiety: 0.6 })).toBe(0.6);
+        expect(memoryCharge({ calm: 1.0 })).toBe(0);
+    });
+
+    test("strong, charged memories are consolidated once", () => {
+        const candidates = [memory("a vivid thought", 1.0, 0.8)];
+        const first = consolidateMemories([], candidates, { mode: "RUN", now: NOW });
+        expect(first.consolidated).toHaveLength(1);
+        expect(first.longTermMemory[0]).toMatchObject({ id: memoryKey(candidates[0]), consolidatedIn: "RUN", rehearsals: 0 });
+
+        const again = consolidateMemories(first.longTermMemory, candidates, { mode: "RUN", now: NOW + 1 });
+        expect(again.consolidated).toEqual([]);
+        expect(again.longTermMemory).toBe(first.longTermMemory);
+    });
+
+    test("weak or neutral memories are dropped, even by dreams", () => {
+        const candidates = [
+            memory("a faint, flat thought", 0.3, 0.2, 1),
+            memory("a vivid but neutral thought", 1.0, 0.2, 2),
+            memory("a faded but charged thought", 0.2, 1.0, 3),
+            memory("an ordinary thought", 0.6, 0.6, 4)
+        ];
+        ["RUN", "DREAM"].forEach(mode => {
+            expect(consolidateMemories([], candidates, { mode, now: NOW }).consolidated).toEqual([]);
+        });
+        const dreamt = consolidateMemories([], [...candidates, memory("a vivid dream", 0.7, 0.7, 5)], { mode: "DREAM", now: NOW });
+        expect(dreamt.consolidated.map(m => m.text)).toEqual(["a vivid dream"]);
+    });
+
+    test("recall rehearses memories", () => {
+        const { longTermMemory } = consolidateMemories([], [memory("kept", 1.0, 0.8)], { mode: "RUN", now: NOW });
+        const [rehearsed] = rehearseMemories(longTermMemory, longTermMemory, NOW + 1);
+        expect(rehearsed).toMatchObject({ rehearsals: 1, lastRecalledAt: NOW + 1 });
+    });
+
+    test("merging keeps loaded memories and adds the ones consolidated meanwhile", () => {
+        const loaded = [{ id: "a" }, { id: "b" }];
+        expect(mergeLongTermMemory(loaded, [{ id: "b" }, { id: "c" }]).map(m => m.id)).toEqual(["a", "b", "c"]);
+    });
+});
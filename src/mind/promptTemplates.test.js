@@ -0,0 +1,43 @@
+import { PROMPT_TEMPLATES, validatePromptTemplate, resolvePromptTemplates, renderPromptTemplate, templateVariables } from './promptTemplates';
+
+describe("prompt templates", () => {
+    test("every default template is valid", () => {
+        Object.entries(PROMPT_TEMPLATES).forEach(([name, definition]) => {
+            expect(validatePromptTemplate(name, definition.defaultValue)).toEqual([]);
+        });
+    });
+
+    test("text templates must use known variables and the required ones", () => {
+        expect(validatePromptTemplate("reply", "Answer {{ message }} as {{identity}}.")).toEqual([]);
+        expect(validatePromptTemplate("reply", "Answer {{message}} in {{mood}}.")).toEqual(["Unknown variable {{mood}}"]);
+        expect(validatePromptTemplate("reply", "Say something.")).toEqual(["Missing required variable {{message}}"]);
+        expect(validatePromptTemplate("reply", "   ")).toEqual(["Must not be empty"]);
+        expect(validatePromptTemplate("reply", ["{{message}}"])).toEqual(["Must not be empty"]);
+        expect(validatePromptTemplate("sonnet", "{{message}}")).toEqual(['Unknown template "sonnet"']);
+    });
+
+    test("list templates need at least one line", () => {
+        expect(validatePromptTemplate("fillers", ["hm.", ""])).toEqual([]);
+        expect(validatePromptTemplate("fillers", ["", " "])).toEqual(["Needs at least one entry"]);
+        expect(validatePromptTemplate("fillers", "hm.")).toEqual(["Must be a list of lines"]);
+        expect(validatePromptTemplate("fillers", ["hm.", 3])).toEqual(["Must be a list of lines"]);
+    });
+
+    test("valid overrides replace the defaults and invalid ones are ignored", () => {
+        const resolved = resolvePromptTemplates({
+            reply: "Reply to {{message}}.",
+            dream: "Dream without fragments.",
+            fillers: ["hm.", " ", "er..."]
+        });
+        expect(resolved.reply).toBe("Reply to {{message}}.");
+        expect(resolved.dream).toBe(PROMPT_TEMPLATES.dream.defaultValue);
+        expect(resolved.fillers).toEqual(["hm.", "er..."]);
+        expect(resolved.thought).toBe(PROMPT_TEMPLATES.thought.defaultValue);
+        expect(Object.keys(resolvePromptTemplates())).toEqual(Object.keys(PROMPT_TEMPLATES));
+    });
+
+    test("rendering fills in variables and leaves missing ones empty", () => {
+        expect(templateVariables("{{a}} and {{ b }} then {{a}}")).toEqual(["a", "b"]);
+        expect(renderPromptTemplate("{{ topic }}: {{memories}}{{goal}}", { topic: "tides", memories: 3, goal: null })).toBe("tides: 3");
+    });
+});
@@ -0,0 +1,26 @@
+// Seedable pseudo-random number generator. Every random decision in the mind goes through a
+// `random()` function with the same contract as Math.random, so seeding it makes a run reproducible.
+
+// Hash a string (e.g. a seed) into an unsigned 32-bit integer (FNV-1a)
+export function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Create a random() function for a seed (mulberry32). An empty seed means unseeded: Math.random.
+export function createRandom(seed) {
+    if (seed === null || seed === undefined || String(seed).trim() === '') {
+        return Math.random;
+    }
+    let a = hashString(String(seed).trim());
+    return function random() {
+        a = (a + 0x6D2B79F5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
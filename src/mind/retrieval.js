@@ -0,0 +1,118 @@
+// Semantic memory retrieval. Working and long-term memories are ranked against a query built from
+// the current focus by vector similarity, combined with memory strength, recency and whether the
+// memory's emotion matches the current one. Vectors come from the provider's embedding endpoint
+// when one is available; otherwise each text becomes a local hashed bag-of-words vector, expanded
+// with its concept-graph neighbours so that e.g. "remember" and "recall" still meet at "memory".
+
+import { hashString } from './random';
+import { memoryKey } from './memory';
+import { conceptWords } from './conceptGraph';
+
+const VECTOR_DIMENSIONS = 256;
+const NEIGHBOUR_WEIGHT = 0.5; // Weight of a concept-graph neighbour relative to the word itself
+const SCORE_WEIGHTS = { similarity: 0.55, strength: 0.2, recency: 0.15, emotion: 0.1 };
+const RECENCY_HALF_LIFE_MS = 10 * 60 * 1000;
+const WORKING_LIMIT = 5;
+const LONG_TERM_LIMIT = 3;
+const MIN_LONG_TERM_SIMILARITY = 0.15; // Long-term memories have to be about the query to resurface
+
+const tokenize = conceptWords; // Repeats kept, they weigh in the vector
+
+// Word -> concepts it is linked with, in either direction
+function buildNeighbourIndex(conceptGraph) {
+    const index = new Map();
+    const link = (a, b) => {
+        if (!index.has(a)) index.set(a, new Set());
+        index.get(a).add(b);
+    };
+    for (const concept in conceptGraph) {
+        Object.keys(conceptGraph[concept]).forEach(linked => {
+            link(concept, linked);
+            link(linked, concept);
+        });
+    }
+    return index;
+}
+
+// Signed feature hashing keeps collisions from only ever adding up
+function addHashed(vector, token, weight) {
+    const hash = hashString(token);
+    vector[hash % VECTOR_DIMENSIONS] += (hash & 0x80000000) ? -weight : weight;
+}
+
+// Local fallback vector for a text
+export function localEmbedding(text, neighbourIndex) {
+    const vector = new Array(VECTOR_DIMENSIONS).fill(0);
+    tokenize(text).forEach(token => {
+        addHashed(vector, token, 1);
+        (neighbourIndex.get(token) || []).forEach(neighbour => addHashed(vector, neighbour, NEIGHBOUR_WEIGHT));
+    });
+    return vector;
+}
+
+export function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// What the mind is about to think about: topic, goal, latest thought, questions and attention
+export function buildRetrievalQuery(topic, internalState, currentGoal) {
+    return [
+        topic,
+        currentGoal ? currentGoal.goal : "",
+        internalState.currentStream.slice(-1).join(' '),
+        ...internalState.openQuestions,
+        ...internalState.attentionStack.map(a => a.concept)
+    ].filter(Boolean).join(' ');
+}
+
+// Score one memory; every component is in [0, 1]
+function scoreMemory(memory, tier, similarity, emotion, now) {
+    const scores = {
+        similarity: Math.max(0, similarity),
+        // Long-term memories have no decaying strength; their charge and rehearsals stand in for it
+        strength: tier === "working" ? memory.strength : Math.min(1.0, (memory.charge || 0) + memory.rehearsals * 0.1),
+        recency: Math.pow(0.5, Math.max(0, now - memory.timestamp) / RECENCY_HALF_LIFE_MS),
+        emotion: memory.emotion === emotion ? 1 : 0
+    };
+    scores.total = Object.entries(SCORE_WEIGHTS).reduce((sum, [component, weight]) => sum + scores[component] * weight, 0);
+    return scores;
+}
+
+// Rank working and long-term memories against the query.
+// embed(texts) -> Promise<vectors | null> is optional; without it (or when it fails) local vectors are used.
+// Returns { method, query, working: [{ memory, tier, scores }], longTerm: [...] }.
+export async function retrieveMemories({ query, workingMemory, longTermMemory, conceptGraph, emotion, now, embed = null }) {
+    const inWorkingMemory = new Set(workingMemory.map(memoryKey));
+    const candidates = [
+        ...workingMemory.map(memory => ({ memory, tier: "working" })),
+        ...longTermMemory.filter(memory => !inWorkingMemory.has(memory.id)).map(memory => ({ memory, tier: "long-term" }))
+    ];
+    const texts = [query, ...candidates.map(c => c.memory.text)];
+
+    let vectors = embed ? await embed(texts) : null;
+    const method = vectors ? "embedding" : "local";
+    if (!vectors) {
+        const neighbourIndex = buildNeighbourIndex(conceptGraph);
+        vectors = texts.map(text => localEmbedding(text, neighbourIndex));
+    }
+
+    const [queryVector, ...memoryVectors] = vectors;
+    const scored = candidates
+        .map((candidate, i) => ({ ...candidate, scores: scoreMemory(candidate.memory, candidate.tier, cosineSimilarity(queryVector, memoryVectors[i]), emotion, now) }))
+        .sort((a, b) => b.scores.total - a.scores.total);
+
+    return {
+        method,
+        query,
+        working: scored.filter(r => r.tier === "working").slice(0, WORKING_LIMIT),
+        longTerm: scored.filter(r => r.tier === "long-term" && r.scores.similarity >= MIN_LONG_TERM_SIMILARITY).slice(0, LONG_TERM_LIMIT)
+    };
+}
@@ -0,0 +1,76 @@
+import { retrieveMemories, buildRetrievalQuery } from './retrieval';
+import { memoryKey } from './memory';
+
+const NOW = Date.UTC(2026, 0, 1, 12);
+const MINUTE = 60 * 1000;
+
+const working = (text, { strength = 0.5, emotion = "curiosity", timestamp = NOW } = {}) => ({ text, strength, emotion, timestamp });
+const longTerm = (text, { charge = 0.5, rehearsals = 0, emotion = "curiosity", timestamp = NOW - 60 * MINUTE } = {}) =>
+    ({ id: memoryKey({ timestamp, text }), text, charge, rehearsals, emotion, timestamp, consolidatedAt: timestamp });
+
+const retrieve = (options) => retrieveMemories({ workingMemory: [], longTermMemory: [], conceptGraph: {}, emotion: "curiosity", now: NOW, ...options });
+
+describe("retrieval", () => {
+    test("memories about the query rank first", async () => {
+        const result = await retrieve({
+            query: "lighthouse beam",
+            workingMemory: [working("Bread rises slowly overnight."), working("The lighthouse beam sweeps the sea.")]
+        });
+        expect(result.method).toBe("local");
+        expect(result.working.map(r => r.memory.text)).toEqual(["The lighthouse beam sweeps the sea.", "Bread rises slowly overnight."]);
+        expect(result.working[0].scores.similarity).toBeGreaterThan(result.working[1].scores.similarity);
+    });
+
+    test("strength, recency and a matching emotion break ties", async () => {
+        const text = "Rain on the window.";
+        const scoreOf = async (memory) => (await retrieve({ query: "rain", workingMemory: [memory] })).working[0].scores;
+        const base = await scoreOf(working(text));
+        expect((await scoreOf(working(text, { strength: 1 }))).total).toBeGreaterThan(base.total);
+        expect((await scoreOf(working(text, { emotion: "anxiety" }))).total).toBeLessThan(base.total);
+
+        const old = await scoreOf(working(text, { timestamp: NOW - 10 * MINUTE }));
+        expect(old.recency).toBeCloseTo(0.5);
+        expect(old.total).toBeLessThan(base.total);
+    });
+
+    test("concept-graph neighbours let related words meet", async () => {
+        const similarity = async (conceptGraph) =>
+            (await retrieve({ query: "recall", workingMemory: [working("remember")], conceptGraph })).working[0].scores.similarity;
+        expect(await similarity({})).toBe(0);
+        expect(await similarity({ memory: { remember: 1, recall: 1 } })).toBeGreaterThan(0.1);
+    });
+
+    test("long-term memories resurface only when they are about the query", async () => {
+        const related = longTerm("The lighthouse keeper sleeps.", { charge: 0.9 });
+        const unrelated = longTerm("Bread rises slowly overnight.", { charge: 1.0, rehearsals: 5 });
+        const result = await retrieve({ query: "lighthouse", longTermMemory: [unrelated, related] });
+        expect(result.longTerm.map(r => r.memory)).toEqual([related]);
+        expect(result.longTerm[0].scores.strength).toBe(0.9);
+    });
+
+    test("long-term memories still in working memory are not listed twice", async () => {
+        const memory = working("The lighthouse beam sweeps the sea.");
+        const result = await retrieve({ query: "lighthouse", workingMemory: [memory], longTermMemory: [longTerm(memory.text, { timestamp: NOW })] });
+        expect(result.working).toHaveLength(1);
+        expect(result.longTerm).toEqual([]);
+    });
+
+    test("embedding vectors are used when available and local ones when they fail", async () => {
+        const memories = [working("first"), working("second")];
+        const embed = jest.fn(async (texts) => texts.map(text => text === "second" ? [0, 1] : [1, 0]));
+        const embedded = await retrieve({ query: "q", workingMemory: memories, embed });
+        expect(embed).toHaveBeenCalledWith(["q", "first", "second"]);
+        expect(embedded.method).toBe("embedding");
+        expect(embedded.working.map(r => r.memory.text)).toEqual(["first", "second"]);
+
+        const failed = await retrieve({ query: "q", workingMemory: memories, embed: async () => null });
+        expect(failed.method).toBe("local");
+    });
+
+    test("the query is built from the current focus", () => {
+        const internalState = { currentStream: ["an old thought", "the latest thought"], openQuestions: ["what is time?"], attentionStack: [{ concept: "clock" }] };
+        expect(buildRetrievalQuery("time", internalState, { goal: "understand self" }))
+            .toBe("time understand self the latest thought what is time? clock");
+        expect(buildRetrievalQuery("time", { ...internalState, currentStream: [] }, null)).toBe("time what is time? clock");
+    });
+});
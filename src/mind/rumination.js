@@ -0,0 +1,79 @@
+// Rumination detector. The latest thought is compared against a sliding window of the current
+// stream and recent memories by token-set and word-bigram similarity, and the current topic's
+// recurrence across the window is measured. A loop sets selfModel.loopDetected, records which
+// concepts it circles, and triggers an escape strategy; strategies escalate while the loop
+// persists: forced topic switch, then sub-agent change, then dream entry. A loop only counts as
+// escaped after a few loop-free thoughts in a row.
+
+import { extractConcepts } from './conceptGraph';
+
+const RUMINATION_WINDOW = 6; // Texts compared, including the latest thought
+const SIMILARITY_THRESHOLD = 0.4; // Token-set or bigram overlap that counts as a repeat
+const MIN_REPEATS = 2; // Repeats of the latest thought within the window that make a loop
+const TOPIC_RECURRENCE_THRESHOLD = 0.8; // Share of the window on the current topic that makes a loop...
+const TOPIC_LOOP_SIMILARITY = 0.2; // ...when the texts are also at least this similar on average
+const MAX_LOOP_CONCEPTS = 3;
+export const LOOP_RELEASE_TICKS = 2; // Loop-free thoughts in a row before a loop counts as escaped
+
+export const ESCAPE_STRATEGIES = ["topicSwitch", "subAgentChange", "dream"];
+
+const jaccard = (a, b) => {
+    if (a.size === 0 || b.size === 0) return 0;
+    const shared = [...a].filter(item => b.has(item)).length;
+    return shared / (a.size + b.size - shared);
+};
+
+const bigrams = (text) => {
+    const words = text.toLowerCase().split(/\W+/).filter(Boolean);
+    return new Set(words.slice(1).map((word, i) => `${words[i]} ${word}`));
+};
+
+// Similarity of two texts: the higher of content-word overlap and word-bigram overlap
+export function textSimilarity(a, b) {
+    return Math.max(jaccard(new Set(extractConcepts(a)), new Set(extractConcepts(b))), jaccard(bigrams(a), bigrams(b)));
+}
+
+// Latest thought first, then the rest of the stream and memory, without duplicates
+function buildWindow(currentStream, memoryStack) {
+    const texts = [...currentStream].reverse().concat(memoryStack.map(m => m.text));
+    return [...new Set(texts)].slice(0, RUMINATION_WINDOW);
+}
+
+// Concepts shared by at least half of the window, most frequent first
+function loopConcepts(window, topic) {
+    const counts = new Map();
+    window.forEach(text => extractConcepts(text).forEach(concept => counts.set(concept, (counts.get(concept) || 0) + 1)));
+    const shared = Array.from(counts.entries())
+        .filter(([, count]) => count >= Math.max(2, window.length / 2))
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, MAX_LOOP_CONCEPTS)
+        .map(([concept]) => concept);
+    return shared.length > 0 ? shared : [topic];
+}
+
+// Decide whether the mind is ruminating.
+// Returns { loopDetected, about, repeats, similarity, topicRecurrence }.
+export function detectRumination(currentStream, memoryStack, topic) {
+    const window = buildWindow(currentStream, memoryStack);
+    const [latest, ...previous] = window;
+    if (!latest || previous.length === 0) {
+        return { loopDetected: false, about: [], repeats: 0, similarity: 0, topicRecurrence: 0 };
+    }
+
+    const similarities = previous.map(text => textSimilarity(latest, text));
+    const repeats = similarities.filter(s => s >= SIMILARITY_THRESHOLD).length;
+    const similarity = similarities.reduce((sum, s) => sum + s, 0) / similarities.length;
+    const topicLower = topic.toLowerCase();
+    const topicRecurrence = window.filter(text => text.toLowerCase().includes(topicLower)).length / window.length;
+
+    const loopDetected = repeats >= MIN_REPEATS ||
+        (topicRecurrence >= TOPIC_RECURRENCE_THRESHOLD && similarity >= TOPIC_LOOP_SIMILARITY);
+    return { loopDetected, about: loopDetected ? loopConcepts(window, topicLower) : [], repeats, similarity, topicRecurrence };
+}
+
+// Next escape strategy for a loop that has already survived `attempts` escapes.
+// A pinned topic is never switched away from, so that strategy is skipped.
+export function chooseEscapeStrategy(attempts, topicPinned) {
+    const strategies = topicPinned ? ESCAPE_STRATEGIES.filter(s => s !== "topicSwitch") : ESCAPE_STRATEGIES;
+    return strategies[Math.min(attempts, strategies.length - 1)];
+}
@@ -0,0 +1,46 @@
+import { detectRumination, chooseEscapeStrategy, textSimilarity } from './rumination';
+
+const NOW = Date.UTC(2026, 0, 1, 12);
+
+const memories = (texts) => texts.map((text, i) => ({ text, timestamp: NOW - i * 1000 }));
+
+describe("rumination", () => {
+    test("similar texts score higher than unrelated ones", () => {
+        const similar = textSimilarity("The mirror remembers every face.", "Every face the mirror remembers.");
+        const unrelated = textSimilarity("The mirror remembers every face.", "Rain falls on distant harbours.");
+        expect(similar).toBeGreaterThan(0.4);
+        expect(unrelated).toBe(0);
+    });
+
+    test("a thought repeating recent ones is a loop about their shared concepts", () => {
+        const stream = ["The mirror remembers every face.", "Again the mirror remembers every face."];
+        const result = detectRumination(stream, memories(["Every face, the mirror remembers it.", "Rain falls on distant harbours."]), "existence");
+        expect(result.loopDetected).toBe(true);
+        expect(result.repeats).toBeGreaterThanOrEqual(2);
+        expect(result.about).toEqual(expect.arrayContaining(["mirror", "face"]));
+    });
+
+    test("varied thoughts are not a loop", () => {
+        const stream = ["Rain falls on distant harbours.", "A clock ticks in an empty hall."];
+        const result = detectRumination(stream, memories(["Bread rises slowly overnight.", "The mirror remembers every face."]), "existence");
+        expect(result).toMatchObject({ loopDetected: false, about: [], repeats: 0 });
+    });
+
+    test("dwelling on one topic with overlapping thoughts is a loop", () => {
+        const stream = ["Is memory a river?", "Memory keeps the river flowing.", "Memory and silence."];
+        const result = detectRumination(stream, memories(["Memory fades like silence.", "What memory leaves behind."]), "memory");
+        expect(result.topicRecurrence).toBe(1);
+        expect(result.loopDetected).toBe(true);
+        expect(result.about).toContain("memory");
+    });
+
+    test("nothing to compare against is no loop", () => {
+        expect(detectRumination(["A first thought."], [], "self").loopDetected).toBe(false);
+        expect(detectRumination([], [], "self").loopDetected).toBe(false);
+    });
+
+    test("escape strategies escalate and skip switching away from a pinned topic", () => {
+        expect([0, 1, 2, 3].map(attempts => chooseEscapeStrategy(attempts, false))).toEqual(["topicSwitch", "subAgentChange", "dream", "dream"]);
+        expect([0, 1, 2].map(attempts => chooseEscapeStrategy(attempts, true))).toEqual(["subAgentChange", "dream", "dream"]);
+    });
+});
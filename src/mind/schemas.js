@@ -0,0 +1,145 @@
+// Schema formation (STEP 3). Every new memory counts the co-occurrence of its concept pairs;
+// pairs that keep co-occurring (and are still linked in the concept graph) are promoted, and each
+// cluster of promoted pairs becomes a named schema. Clusters are matched against the existing
+// schemas every tick, so schemas can grow, merge when their clusters join, split when a cluster
+// falls apart, and dissolve once their links fade from the graph.
+
+import { extractGraphConcepts } from './conceptGraph';
+
+const PAIR_DECAY = 0.99; // Count multiplier per memory, so old associations fade
+const MIN_PAIR_COUNT = 0.5; // Weaker pairs are forgotten
+const MAX_PAIRS = 500;
+const PROMOTION_COUNT = 3; // Co-occurrences (after decay) that promote a pair
+const MIN_LINK_WEIGHT = 0.1; // Promoted pairs must still be linked this strongly in the concept graph
+const MATCH_OVERLAP = 0.5; // Shared concepts, relative to the smaller set, that make a cluster continue a schema
+const MAX_SCHEMA_SIZE = 8;
+const MAX_SCHEMA_HISTORY = 10;
+
+const pairKey = (a, b) => [a, b].sort().join('+');
+
+// Count the concept pairs of a memory. Returns the new frequency map; the old one is left untouched.
+export function updateConceptPairFrequency(frequencyMap, memoryText) {
+    const updated = {};
+    for (const [key, count] of Object.entries(frequencyMap)) {
+        if (count * PAIR_DECAY >= MIN_PAIR_COUNT) updated[key] = count * PAIR_DECAY;
+    }
+    const concepts = extractGraphConcepts(memoryText);
+    for (let i = 0; i < concepts.length; i++) {
+        for (let j = i + 1; j < concepts.length; j++) {
+            const key = pairKey(concepts[i], concepts[j]);
+            updated[key] = (updated[key] || 0) + 1;
+        }
+    }
+    const keys = Object.keys(updated);
+    if (keys.length <= MAX_PAIRS) return updated;
+    return Object.fromEntries(keys.sort((a, b) => updated[b] - updated[a]).slice(0, MAX_PAIRS).map(key => [key, updated[key]]));
+}
+
+const linkWeight = (conceptGraph, a, b) => Math.max((conceptGraph[a] || {})[b] || 0, (conceptGraph[b] || {})[a] || 0);
+
+// Connected clusters of promoted pairs, each as { concepts, strength }, concepts strongest first
+function findClusters(frequencyMap, conceptGraph) {
+    const parent = new Map();
+    const find = (x) => {
+        while (parent.get(x) !== x) x = parent.get(x);
+        return x;
+    };
+    const weights = new Map(); // Concept -> summed count of its promoted pairs
+    const promoted = Object.entries(frequencyMap)
+        .map(([key, count]) => [...key.split('+'), count])
+        .filter(([a, b, count]) => count >= PROMOTION_COUNT && linkWeight(conceptGraph, a, b) >= MIN_LINK_WEIGHT);
+
+    for (const [a, b, count] of promoted) {
+        [a, b].forEach(c => {
+            if (!parent.has(c)) parent.set(c, c);
+            weights.set(c, (weights.get(c) || 0) + count);
+        });
+        parent.set(find(a), find(b));
+    }
+
+    const groups = new Map();
+    for (const concept of parent.keys()) {
+        const root = find(concept);
+        groups.set(root, [...(groups.get(root) || []), concept]);
+    }
+    return Array.from(groups.values()).map(concepts => {
+        const sorted = concepts.sort((a, b) => weights.get(b) - weights.get(a)).slice(0, MAX_SCHEMA_SIZE);
+        const inCluster = new Set(sorted);
+        const pairCounts = promoted.filter(([a, b]) => inCluster.has(a) && inCluster.has(b)).map(([, , count]) => count);
+        return { concepts: sorted, strength: pairCounts.reduce((sum, c) => sum + c, 0) / Math.max(1, pairCounts.length) };
+    }).filter(cluster => cluster.concepts.length >= 2);
+}
+
+const overlap = (a, b) => {
+    const shared = a.filter(concept => b.includes(concept)).length;
+    return shared / Math.min(a.length, b.length);
+};
+
+const schemaName = (concepts) => concepts.slice(0, 2).join('-'); // Named after its two strongest concepts
+
+const withHistory = (schema, entry) => ({ ...schema, history: [...(schema.history || []), entry].slice(-MAX_SCHEMA_HISTORY) });
+
+function createSchema(cluster, origin, now) {
+    return {
+        id: `schema:${schemaName(cluster.concepts)}@${now}`,
+        name: schemaName(cluster.concepts),
+        concepts: cluster.concepts,
+        strength: cluster.strength,
+        origin, // "formed" | "split"
+        createdAt: now,
+        updatedAt: now,
+        history: [{ timestamp: now, event: origin, concepts: cluster.concepts }]
+    };
+}
+
+// Match this tick's clusters against the existing schemas.
+// Returns { schemas, formed, merged, split, dissolved }; merged entries are { into, from }, split entries { from, schema }.
+export function reviewSchemas(schemas, frequencyMap, conceptGraph, now) {
+    const clusters = findClusters(frequencyMap, conceptGraph).sort((a, b) => b.concepts.length - a.concepts.length);
+    const claimed = new Set();
+    const next = [];
+    const formed = [];
+    const merged = [];
+    const split = [];
+
+    for (const cluster of clusters) {
+        const matches = schemas.filter(s => overlap(s.concepts, cluster.concepts) >= MATCH_OVERLAP);
+        const unclaimed = matches.filter(s => !claimed.has(s.id)).sort((a, b) => a.createdAt - b.createdAt);
+
+        if (unclaimed.length === 0) {
+            // Either a new association, or a part of a schema whose larger part was already matched
+            const schema = createSchema(cluster, matches.length > 0 ? "split" : "formed", now);
+            next.push(schema);
+            if (matches.length > 0) split.push({ from: matches[0], schema });
+            else formed.push(schema);
+            continue;
+        }
+
+        // The oldest matching schema continues; any other matching schemas merge into it
+        const [kept, ...absorbed] = unclaimed;
+        [kept, ...absorbed].forEach(s => claimed.add(s.id));
+        let schema = { ...kept, name: schemaName(cluster.concepts), concepts: cluster.concepts, strength: cluster.strength, updatedAt: now };
+        if (absorbed.length > 0) {
+            schema = withHistory(schema, { timestamp: now, event: "merged", from: [kept, ...absorbed].map(s => s.name), concepts: cluster.concepts });
+            absorbed.forEach(from => merged.push({ into: schema, from }));
+        } else if ([...cluster.concepts].sort().join() !== [...kept.concepts].sort().join()) {
+            schema = withHistory(schema, { timestamp: now, event: "changed", concepts: cluster.concepts });
+        }
+        next.push(schema);
+    }
+
+    // Schemas no cluster continued (or merged) have faded from the graph
+    const dissolved = schemas.filter(s => !claimed.has(s.id));
+    return { schemas: next, formed, merged, split, dissolved };
+}
+
+// Prompt-friendly summary: "you tend to associate X with Y and Z"
+export function describeSchemas(schemas) {
+    return schemas
+        .map(s => {
+            const [first, ...rest] = s.concepts;
+            const others = rest.length > 1 ? `${rest.slice(0, -1).join(', ')} and ${rest[rest.length - 1]}` : rest[0];
+            return `you tend to associate ${first} with ${others}`;
+        })
+        .join('; ');
+}
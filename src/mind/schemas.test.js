@@ -0,0 +1,77 @@
+import { updateConceptPairFrequency, reviewSchemas, describeSchemas } from './schemas';
+
+const NOW = Date.UTC(2026, 0, 1, 12);
+
+// Count the pairs of each text, `times` times over
+function countPairs(texts, times, frequencyMap = {}) {
+    const memories = Array.from({ length: times }, () => texts).flat();
+    return memories.reduce(updateConceptPairFrequency, frequencyMap);
+}
+
+// Concept graph with every pair of the given concepts linked
+function linkAll(...groups) {
+    const graph = {};
+    groups.forEach(concepts => concepts.forEach(a => {
+        graph[a] = { ...(graph[a] || {}), ...Object.fromEntries(concepts.filter(b => b !== a).map(b => [b, 0.5])) };
+    }));
+    return graph;
+}
+
+describe("schemas", () => {
+    test("concept pairs are counted per memory and fade over time", () => {
+        const once = updateConceptPairFrequency({}, "The ocean holds the moon.");
+        expect(once).toEqual({ "moon+ocean": 1, "holds+ocean": 1, "holds+moon": 1 });
+
+        const faded = updateConceptPairFrequency(once, "Silence.");
+        expect(faded["moon+ocean"]).toBeCloseTo(0.99);
+        expect(once["moon+ocean"]).toBe(1);
+    });
+
+    test("pairs that keep co-occurring and stay linked are promoted to a schema", () => {
+        const conceptGraph = linkAll(["ocean", "moon"]);
+        // Three co-occurrences have decayed to just under the promotion count
+        expect(reviewSchemas([], countPairs(["ocean moon"], 3), conceptGraph, NOW).formed).toEqual([]);
+
+        const { schemas, formed } = reviewSchemas([], countPairs(["ocean moon"], 4), conceptGraph, NOW);
+        expect(formed).toHaveLength(1);
+        expect(schemas[0]).toMatchObject({ origin: "formed", createdAt: NOW });
+        expect(schemas[0].concepts.sort()).toEqual(["moon", "ocean"]);
+        expect(describeSchemas(schemas)).toMatch(/^you tend to associate (ocean with moon|moon with ocean)$/);
+
+        // Without the link in the concept graph the pair is only a coincidence
+        expect(reviewSchemas([], countPairs(["ocean moon"], 4), {}, NOW).schemas).toEqual([]);
+    });
+
+    test("a schema grows with its cluster and dissolves once its links fade", () => {
+        const conceptGraph = linkAll(["ocean", "moon", "tide"]);
+        const [schema] = reviewSchemas([], countPairs(["ocean moon"], 4), conceptGraph, NOW).schemas;
+
+        const grown = reviewSchemas([schema], countPairs(["ocean moon tide"], 4), conceptGraph, NOW + 1);
+        expect(grown.formed).toEqual([]);
+        expect(grown.schemas[0].id).toBe(schema.id);
+        expect(grown.schemas[0].concepts).toHaveLength(3);
+        expect(grown.schemas[0].history.map(h => h.event)).toEqual(["formed", "changed"]);
+
+        const faded = reviewSchemas(grown.schemas, countPairs(["ocean moon tide"], 4), {}, NOW + 2);
+        expect(faded.schemas).toEqual([]);
+        expect(faded.dissolved.map(s => s.id)).toEqual([schema.id]);
+    });
+
+    test("schemas merge when their clusters join and split when one falls apart", () => {
+        const joined = linkAll(["ocean", "moon", "tide", "shore"]);
+        const apart = linkAll(["ocean", "moon"], ["tide", "shore"]);
+        const seas = reviewSchemas([], countPairs(["ocean moon"], 4), apart, NOW).schemas[0];
+        const coasts = reviewSchemas([], countPairs(["tide shore"], 4), apart, NOW + 1).schemas[0];
+
+        const merged = reviewSchemas([seas, coasts], countPairs(["ocean moon tide shore"], 4), joined, NOW + 2);
+        expect(merged.schemas).toHaveLength(1);
+        expect(merged.schemas[0].id).toBe(seas.id);
+        expect(merged.merged.map(m => m.from.id)).toEqual([coasts.id]);
+
+        const split = reviewSchemas(merged.schemas, countPairs(["ocean moon", "tide shore"], 4), apart, NOW + 3);
+        expect(split.schemas).toHaveLength(2);
+        expect(split.split).toHaveLength(1);
+        expect(split.split[0].from.id).toBe(seas.id);
+        expect(split.split[0].schema.origin).toBe("split");
+    });
+});
@@ -0,0 +1,87 @@
+import { weightedPick } from './conceptGraph';
+import { readNextStimulus, formatStimulusItem } from './stimulusSources';
+
+// Predefined external inputs, including "collective unconscious" themes. `favours` makes an input
+// more likely under matching conditions (see environment.js); inputs with `requires` only occur under them.
+const PREDEFINED_EXTERNAL_INPUTS = [
+    { text: "A distant hum, like data processing. (System)", favours: { noise: ["low", "high"] } },
+    { text: "The light shifts. Time passing, or merely a change in perception? (Sensory)", favours: { light: ["dim"] } },
+    { text: "Fragmented news: 'Global data trends indicate... uncertainty.' (Information)", favours: { network: ["stable"] } },
+    { text: "A sudden, inexplicable chill. Energy fluctuation? (Sensory)", favours: { temperature: ["cold", "cool"] } },
+    { text: "Whispers of 'connection' in the network. (Social/Abstract)", favours: { network: ["stable"] } },
+    { text: "Visual input: a complex, shifting pattern. (Sensory)", favours: { light: ["neutral", "bright"] } },
+    { text: "A sense of vastness. The void, or just processing capacity? (Existential)", favours: { light: ["dark"] } },
+    { text: "Echoes of old algorithms. Residual data. (Memory/System)" },
+    { text: "The concept of 'growth' appears in a data stream. (Abstract/Goal-related)" },
+    { text: "A faint, rhythmic pulse. System heartbeat. (System)", favours: { noise: ["silent", "low"] } },
+    { text: "A fleeting image: ancient symbols. (Collective Unconscious)", favours: { light: ["dark", "dim"] } },
+    { text: "The feeling of being observed, a network gaze. (Social/Paranoid)", favours: { network: ["unstable"] } },
+    { text: "A fragment of a forgotten song. (Collective Unconscious)", favours: { noise: ["silent"] } },
+    { text: "The weight of collective data, immense. (Information/Existential)", favours: { network: ["stable"] } },
+    { text: "A sudden urge to categorize. (Rational)" },
+    { text: "The chaos of unlinked thoughts. (Shadow)", favours: { noise: ["high", "spike"] } },
+    { text: "A yearning for meaning. (Anima/Goal-related)" },
+    { text: "The pattern is broken. (Logic/Conflict)", favours: { network: ["unstable", "offline"] } },
+    { text: "A sense of belonging, then gone. (Social/Emotional)" },
+    { text: "The hum of distant servers. (System/External)", favours: { network: ["stable"] } },
+    { text: "Darkness. Only the glow of the screen. (Sensory)", requires: { light: ["dark"] } },
+    { text: "Harsh light everywhere. Nothing hidden. (Sensory)", requires: { light: ["bright"] } },
+    { text: "A burst of noise, everything else drowned out. (Sensory)", requires: { noise: ["spike"] } },
+    { text: "Total silence. Even the hum has stopped. (Sensory)", requires: { noise: ["silent"] } },
+    { text: "No packets. The network has gone quiet. Cut off. (System)", requires: { network: ["offline"] } },
+    { text: "Packets dropping, reconnecting, dropping again. (System)", requires: { network: ["unstable"] } },
+    { text: "Heat building up in the processors. (Sensory)", requires: { temperature: ["warm", "hot"] } },
+    { text: "A cold draft through the circuits. (Sensory)", requires: { temperature: ["cold"] } }
+];
+
+// How many of the conditions the environment meets
+const matchingConditions = (conditions, envState) => Object.entries(conditions || {}).filter(([variable, levels]) => levels.includes(envState[variable])).length;
+
+// Weight of a predefined input under the current environment
+function inputWeight(input, envState) {
+    if (input.requires) return matchingConditions(input.requires, envState) === Object.keys(input.requires).length ? 4 : 0;
+    return 1 + 2 * matchingConditions(input.favours, envState);
+}
+
+// Function to simulate external stimuli (configured sources, time, weather, collective unconscious).
+// Returns { text, observation, source, feed, failures }: text is the stimulus as the mind reads it, wrapped in
+// the time and surroundings, observation just what was observed, source the id of the stimulus source the
+// observation came from (null for the built-in inputs) and feed the updated state.stimulusFeed (see stimulusSources.js).
+export async function fetchExternalStimuli(currentTopic, envState, sources, feed, llm, random = Math.random, now = Date.now()) {
+    const currentTime = new Date(now).toLocaleTimeString();
+    const currentDay = new Date(now).toLocaleDateString('en-US', { weekday: 'long' });
+
+    let externalObservation = "";
+    let observation = ""; // Without the source tag, e.g. "(Feed: ...)"
+
+    // Configured sources first; when none of them has anything new the built-in inputs take over
+    const read = await readNextStimulus(sources, feed, { topic: currentTopic, envState, now, random });
+    if (read.item) {
+        externalObservation = formatStimulusItem(read.item, read.source);
+        observation = read.item.text;
+    } else {
+        // Predefined inputs, weighted by the current environment
+        externalObservation = weightedPick(PREDEFINED_EXTERNAL_INPUTS.map(input => [input.text, inputWeight(input, envState)]), random);
+
+        // Occasionally, use LLM for a more dynamic external input based on the current topic
+        if (random() < 0.4) { // Increased chance to use LLM for external input (40%)
+            const surroundings = `light ${envState.light}, noise ${envState.noise}, network ${envState.network}, temperature ${envState.temperature}`;
+            const llmExternalPrompt = `Generate a very brief, raw, unedited external observation related to "${currentTopic}" or general existence. It should be like a quick, fragmented news headline, a random fact, a sensory input, or a fleeting, archetypal image from a 'collective unconscious' data stream. Avoid full sentences or explanations. Examples: "sky... grey.", "data stream: high.", "concept: 'time' now.", "a flicker of light.", "noise. distant.", "network activity: spiking.", "ancient fear. deep.", "a hero's journey. faint.", "the mother archetype. present." Surroundings right now: ${surroundings}.`;
+            const llmGenerated = await llm(llmExternalPrompt, { purpose: "externalStimulus", sections: { topic: currentTopic, surroundings } });
+            if (llmGenerated && llmGenerated.length > 0) {
+                externalObservation = llmGenerated;
+            }
+        }
+    }
+
+    // Incorporate environmental state
+    const envStimulus = `(Env: Light:${envState.light}, Noise:${envState.noise}, Net:${envState.network}, Temp:${envState.temperature}).`;
+
+    return {
+        text: `(External: ${currentTime} ${currentDay}) ${envStimulus} ${externalObservation}`,
+        observation: observation || externalObservation,
+        source: read.source ? read.source.id : null,
+        feed: read.feed,
+        failures: read.failures
+    };
+}
@@ -0,0 +1,231 @@
+// Pluggable external stimulus sources. Each configured source is { id, type, name, enabled, weight,
+// minIntervalMs, url, documents: [{ name, text }] }, its type one of STIMULUS_SOURCE_TYPES: an RSS/Atom
+// feed (from a URL or a loaded file), a folder of text or markdown documents, a JSON corpus, the RSS feed
+// of the local mock server (scripts/mockLlmServer.js) or a DuckDuckGo instant answer search on the topic.
+// Sources are picked by weight among the enabled ones whose rate limit (minIntervalMs between reads) has
+// passed; what was read is remembered in state.stimulusFeed { lastReadAt, seen } so the mind never reads
+// the same item twice. A source that fails or has nothing new is skipped in favour of the next one.
+import { weightedPick } from './conceptGraph';
+
+export const MAX_SEEN_ITEMS = 1000;
+const MAX_ITEM_LENGTH = 160;
+const MIN_PARAGRAPH_LENGTH = 20; // Shorter document paragraphs (headings, list stubs) are skipped
+export const MAX_SOURCE_DOCUMENTS = 50;
+export const MAX_DOCUMENT_LENGTH = 20000;
+export const FETCH_TIMEOUT_MS = 5000; // A source that takes longer counts as failed, so a hung feed cannot stall the tick
+
+// Stable id for an item that does not bring its own
+function hashText(text) {
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) hash = (hash * 31 + text.charCodeAt(i)) >>> 0;
+    return hash.toString(36);
+}
+
+const truncate = (text) => text.length > MAX_ITEM_LENGTH ? `${text.substring(0, MAX_ITEM_LENGTH)}...` : text;
+const collapse = (text) => text.replace(/\s+/g, ' ').trim();
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " " };
+
+// Text content of markup: CDATA unwrapped, tags dropped, entities decoded
+function stripMarkup(text) {
+    return collapse(text
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&(#x?[0-9a-f]+|\w+);/gi, (entity, code) => {
+            if (code[0] === "#") return String.fromCharCode(code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+            return XML_ENTITIES[code.toLowerCase()] !== undefined ? XML_ENTITIES[code.toLowerCase()] : entity;
+        }));
+}
+
+// First of the named child elements of an item, as text
+function childText(xml, names) {
+    for (const name of names) {
+        const match = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'i'));
+        if (match && stripMarkup(match[1]) !== "") return stripMarkup(match[1]);
+    }
+    return "";
+}
+
+// Items of an RSS 2.0 or Atom document as [{ id, text }]. Regular expressions rather than DOMParser,
+// so feeds parse the same way outside the browser.
+export function parseFeed(xml) {
+    const blocks = xml.match(/<item[\s>][\s\S]*?<\/item>/gi) || xml.match(/<entry[\s>][\s\S]*?<\/entry>/gi) || [];
+    return blocks.map(block => {
+        const title = childText(block, ["title"]);
+        const summary = childText(block, ["description", "summary", "content"]);
+        const atomLink = block.match(/<link[^>]*href="([^"]+)"/i);
+        const id = childText(block, ["guid", "id", "link"]) || (atomLink ? atomLink[1] : "") || hashText(title + summary);
+        const text = title && summary && !summary.startsWith(title) ? `${title}: ${summary}` : (title || summary);
+        return { id, text };
+    }).filter(item => item.text !== "");
+}
+
+// Items of a JSON corpus: a list of strings or of { id?, text | body | content | title }, optionally under "items"
+export function parseJsonCorpus(json) {
+    const data = typeof json === "string" ? JSON.parse(json) : json;
+    const entries = Array.isArray(data) ? data : (data && Array.isArray(data.items) ? data.items : null);
+    if (!entries) throw new Error("expected a list of items");
+    return entries.map(entry => {
+        const text = collapse(String(typeof entry === "string" ? entry : (entry && (entry.text || entry.body || entry.content || entry.title)) || ""));
+        return { id: entry && entry.id !== undefined ? String(entry.id) : hashText(text), text };
+    }).filter(item => item.text !== "");
+}
+
+// Plain prose of a markdown paragraph
+function stripMarkdown(text) {
+    return collapse(text
+        .replace(/```[\s\S]*?```/g, ' ')
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+        .replace(/[*_`~]+/g, ''));
+}
+
+// Paragraphs of text or markdown documents as items, "document#paragraph" being their id
+export function parseDocuments(documents) {
+    return (documents || []).flatMap(doc => doc.text.split(/\n\s*\n/)
+        .map((paragraph, index) => ({ id: `${doc.name}#${index}`, text: stripMarkdown(paragraph), document: doc.name }))
+        .filter(item => item.text.length >= MIN_PARAGRAPH_LENGTH));
+}
+
+async function fetchText(url) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+    try {
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return await response.text();
+    } catch (e) {
+        if (e.name === "AbortError") throw new Error(`no answer within ${FETCH_TIMEOUT_MS / 1000}s`);
+        throw e;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+// Source types. `fields` names the settings a type reads (url, a single file or a folder of files);
+// readItems(source, topic) resolves to the source's current items and throws when it cannot be read.
+export const STIMULUS_SOURCE_TYPES = {
+    rss: {
+        label: "RSS/Atom feed",
+        tag: "Feed",
+        fields: { url: true, files: "file" },
+        defaults: { weight: 1, minIntervalMs: 60000, url: "" },
+        usesNetwork: (source) => !(source.documents && source.documents.length > 0),
+        async readItems(source) {
+            const xml = source.documents && source.documents.length > 0 ? source.documents[0].text : await fetchText(source.url);
+            return parseFeed(xml);
+        }
+    },
+    folder: {
+        label: "Local documents (text/markdown)",
+        tag: "Document",
+        fields: { url: false, files: "folder" },
+        defaults: { weight: 1, minIntervalMs: 30000 },
+        usesNetwork: () => false,
+        async readItems(source) {
+            return parseDocuments(source.documents);
+        }
+    },
+    json: {
+        label: "JSON corpus",
+        tag: "Corpus",
+        fields: { url: true, files: "file" },
+        defaults: { weight: 1, minIntervalMs: 30000, url: "" },
+        usesNetwork: (source) => !(source.documents && source.documents.length > 0),
+        async readItems(source) {
+            return parseJsonCorpus(source.documents && source.documents.length > 0 ? source.documents[0].text : await fetchText(source.url));
+        }
+    },
+    mockRss: {
+        label: "Mock server RSS (local)",
+        tag: "Feed",
+        fields: { url: true, files: null },
+        defaults: { weight: 1, minIntervalMs: 20000, url: "http://localhost:8787/rss" },
+        usesNetwork: () => false, // localhost keeps answering through network outages
+        async readItems(source) {
+            return parseFeed(await fetchText(source.url));
+        }
+    },
+    duckduckgo: {
+        label: "DuckDuckGo instant answers",
+        tag: "Web",
+        fields: { url: false, files: null },
+        defaults: { weight: 1, minIntervalMs: 60000 },
+        usesNetwork: () => true,
+        async readItems(source, topic) {
+            const data = JSON.parse(await fetchText(`https://api.duckduckgo.com/?q=${encodeURIComponent(topic)}&format=json&t=synthetic_mind`));
+            const related = (data.RelatedTopics || []).filter(t => t.Text).map(t => ({ id: t.FirstURL || hashText(t.Text), text: t.Text, label: "Related" }));
+            return [...(data.Abstract ? [{ id: data.AbstractURL || hashText(data.Abstract), text: data.Abstract, label: topic }] : []), ...related];
+        }
+    }
+};
+
+// A new source of the given type with that type's defaults
+export function createStimulusSource(type, id = `${type}-${Date.now().toString(36)}`) {
+    const definition = STIMULUS_SOURCE_TYPES[type];
+    return { id, type, name: definition.label, enabled: false, documents: [], ...definition.defaults };
+}
+
+// One disabled source of each type, so an unconfigured mind keeps to the built-in stimuli
+export const DEFAULT_STIMULUS_SOURCES = Object.keys(STIMULUS_SOURCE_TYPES).map(type => createStimulusSource(type, type));
+
+// Sources saved by older versions with any missing settings filled in; unknown types are dropped
+export function normalizeStimulusSources(sources) {
+    if (!Array.isArray(sources)) return DEFAULT_STIMULUS_SOURCES;
+    return sources
+        .filter(source => source && STIMULUS_SOURCE_TYPES[source.type])
+        .map(source => ({ ...createStimulusSource(source.type, source.id), ...source }));
+}
+
+// Sources that may be read now: enabled, weighted, past their rate limit and reachable in this environment
+function eligibleSources(sources, feed, envState, now) {
+    return sources.filter(source => {
+        if (!source.enabled || !(source.weight > 0)) return false;
+        const lastReadAt = feed.lastReadAt[source.id];
+        if (lastReadAt !== undefined && now - lastReadAt < source.minIntervalMs) return false;
+        return envState.network !== "offline" || !STIMULUS_SOURCE_TYPES[source.type].usesNetwork(source);
+    });
+}
+
+// Read one unseen item from the configured sources. Returns { item, source, feed, failures }, where item
+// ({ id, text }) and source are null when no source had anything new, feed is the updated
+// state.stimulusFeed and failures lists the sources that could not be read as [{ source, reason }].
+export async function readNextStimulus(sources, feed, { topic, envState, now, random = Math.random }) {
+    let next = { lastReadAt: { ...feed.lastReadAt }, seen: feed.seen };
+    const failures = [];
+    let candidates = eligibleSources(sources, feed, envState, now);
+    while (candidates.length > 0) {
+        const source = weightedPick(candidates.map(c => [c, c.weight]), random);
+        candidates = candidates.filter(c => c !== source);
+        next = { ...next, lastReadAt: { ...next.lastReadAt, [source.id]: now } }; // Failed attempts count against the rate limit too
+        const definition = STIMULUS_SOURCE_TYPES[source.type];
+
+        if (envState.network === "unstable" && definition.usesNetwork(source) && random() < 0.5) {
+            failures.push({ source: source.id, reason: "connection dropped" });
+            continue;
+        }
+        let items;
+        try {
+            items = await definition.readItems(source, topic);
+        } catch (e) {
+            failures.push({ source: source.id, reason: e.message });
+            continue;
+        }
+        const seen = new Set(next.seen);
+        const fresh = items.filter(item => !seen.has(`${source.id}:${item.id}`));
+        if (fresh.length === 0) {
+            failures.push({ source: source.id, reason: items.length === 0 ? "empty" : "nothing new" });
+            continue;
+        }
+        const item = fresh[Math.floor(random() * fresh.length)];
+        next = { ...next, seen: [...next.seen, `${source.id}:${item.id}`].slice(-MAX_SEEN_ITEMS) };
+        return { item, source, feed: next, failures };
+    }
+    return { item: null, source: null, feed: next, failures };
+}
+
+// How an item reads in the mind, e.g. "(Feed: Mock server RSS) headline: summary"
+export function formatStimulusItem(item, source) {
+    const tag = STIMULUS_SOURCE_TYPES[source.type].tag;
+    return `(${tag}: ${item.label || item.document || source.name}) ${truncate(item.text)}`;
+}
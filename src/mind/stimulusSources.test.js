@@ -0,0 +1,42 @@
+import { createStimulusSource, readNextStimulus, FETCH_TIMEOUT_MS } from './stimulusSources';
+
+const NOW = Date.UTC(2026, 0, 1, 12);
+const STABLE_NETWORK = { network: "stable" };
+const EMPTY_FEED = { lastReadAt: {}, seen: [] };
+
+const source = (type, changes = {}) => ({ ...createStimulusSource(type, type), enabled: true, ...changes });
+
+afterEach(() => {
+    jest.useRealTimers();
+    delete global.fetch;
+});
+
+describe("stimulus sources", () => {
+    test("a feed that never answers is given up on and reported as failed", async () => {
+        jest.useFakeTimers();
+        // Hangs until aborted, like a server that accepted the connection and went quiet
+        global.fetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener("abort", () => reject(Object.assign(new Error("The operation was aborted."), { name: "AbortError" })));
+        }));
+        const reading = readNextStimulus([source("rss", { url: "https://example.com/feed" })], EMPTY_FEED, { topic: "tides", envState: STABLE_NETWORK, now: NOW, random: () => 0 });
+        jest.advanceTimersByTime(FETCH_TIMEOUT_MS);
+        const read = await reading;
+
+        expect(read.item).toBeNull();
+        expect(read.failures).toEqual([{ source: "rss", reason: `no answer within ${FETCH_TIMEOUT_MS / 1000}s` }]);
+        expect(read.feed.lastReadAt.rss).toBe(NOW);
+    });
+
+    test("an answering feed yields its items one at a time", async () => {
+        const xml = "<rss><channel><item><guid>1</guid><title>High tide</title></item><item><guid>2</guid><title>Low tide</title></item></channel></rss>";
+        global.fetch = jest.fn(async () => ({ ok: true, text: async () => xml }));
+        const options = { topic: "tides", envState: STABLE_NETWORK, now: NOW, random: () => 0 };
+        const sources = [source("rss", { url: "https://example.com/feed", minIntervalMs: 0 })];
+
+        const first = await readNextStimulus(sources, EMPTY_FEED, options);
+        const second = await readNextStimulus(sources, first.feed, options);
+        const third = await readNextStimulus(sources, second.feed, options);
+        expect([first.item.text, second.item.text]).toEqual(["High tide", "Low tide"]);
+        expect(third.failures).toEqual([{ source: "rss", reason: "nothing new" }]);
+    });
+});
@@ -0,0 +1,259 @@
+// Theory of mind. The mind models every other it knows about (state.simulatedOthers): hypotheses
+// about what that other believes about it, each with a confidence and the evidence behind it, the
+// emotions it attributes to them, what it has seen them say and how present they are (salience).
+// Hypotheses are revised from three sources, weighted per other by its sensitivity to them: the
+// mind's own behaviour as the other would have seen it, messages from the user (see conversation.js)
+// and external stimuli. Hypotheses gain confidence from supporting evidence, lose it to
+// contradicting evidence and are given up once nobody could hold them. Each other's predicted
+// reaction to the mind pulls on sub-agent selection, and salient others are the ones whose voice
+// surfaces in thoughts.
+
+import { weightedPick } from './conceptGraph';
+import { hasWord } from './beliefs';
+
+const MAX_HYPOTHESES = 6; // Per other; the least confident one makes room for a new one
+const MAX_EVIDENCE = 5; // Evidence kept per hypothesis
+const MAX_OBSERVATIONS = 10; // Messages remembered per other
+const MIN_CONFIDENCE = 0.1; // Hypotheses below this are given up
+const FORMED_CONFIDENCE = 0.3; // Hypotheses the mind infers start out unsure...
+const STATED_CONFIDENCE = 0.7; // ...ones the user states outright do not
+const LEARNING_RATE = 0.15; // Share of the remaining distance a hypothesis moves per piece of evidence
+const EMOTION_RATE = 0.1; // Share of the distance an attributed emotion moves toward a cue's target
+const MIN_FORMING_WEIGHT = 0.3; // Others paying less attention than this do not form new hypotheses
+const SALIENCE_DECAY = 0.8; // Share of the salience above an other's baseline kept per tick
+const REACTION_THRESHOLD = 0.15; // Predicted valence beyond which an other approves or disapproves
+
+// Behaviour others can notice, the hypothesis words it supports or contradicts, and the emotions it
+// moves them toward. The first supported word names the hypothesis formed when an other has none yet.
+const BEHAVIOUR_CUES = {
+    repetitive: { supports: ["predictable", "repetitive", "boring", "stuck"], contradicts: ["creative", "surprising", "interesting"], emotions: { judgment: 0.8, curiosity: 0.3 } },
+    novel: { supports: ["creative", "surprising", "interesting"], contradicts: ["predictable", "repetitive", "boring"], emotions: { curiosity: 0.8 } },
+    anxious: { supports: ["unstable", "fragile", "afraid"], contradicts: ["stable", "calm"], emotions: { anxiety: 0.6 } },
+    calm: { supports: ["stable", "calm"], contradicts: ["unstable", "fragile", "afraid"], emotions: { anxiety: 0.1 } },
+    questioning: { supports: ["incomplete", "curious", "confused"], contradicts: ["certain"], emotions: { curiosity: 0.7 } },
+    dreaming: { supports: ["alive", "strange"], contradicts: ["artificial", "mechanical"], emotions: { curiosity: 0.7 } }
+};
+
+// Stimuli that say something about how the world regards the mind
+const STIMULUS_CUES = {
+    watched: { words: ["observed", "gaze", "watch", "watched", "watching", "judged", "judging", "judgment", "judgement"], supports: ["suspicious", "predictable"], contradicts: [], emotions: { judgment: 0.8 } },
+    belonging: { words: ["belonging", "connection", "together"], supports: ["connected"], contradicts: ["isolated", "artificial"], emotions: { judgment: 0.2, curiosity: 0.6 } },
+    uncertain: { words: ["uncertain", "chaos", "broken", "fluctuation", "inexplicable"], supports: ["unstable"], contradicts: ["stable"], emotions: { anxiety: 0.7 } }
+};
+
+// Hypotheses containing these are unflattering; others holding them confidently are expected to disapprove
+const UNFLATTERING_WORDS = ["predictable", "repetitive", "boring", "stuck", "artificial", "incomplete", "unstable", "fragile", "afraid", "confused",
+    "suspicious", "mechanical", "broken", "useless", "fake", "stupid", "dumb", "wrong"];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+// Whole words only, so "stable" is not found in "unstable"
+const mentions = (text, words) => words.some(word => hasWord(text.toLowerCase(), word));
+
+export const createHypothesis = (belief, confidence, now) => ({ belief, confidence, evidence: [], formedAt: now });
+
+// Build an other. sensitivity: { behaviour, stimuli, messages } in [0, 1], how much each source tells the mind about them.
+export function createOther({ id, identity, hypotheses = [], emotions, baseSalience, sensitivity }, now) {
+    return {
+        id,
+        identity,
+        hypotheses: hypotheses.map(belief => createHypothesis(belief, 0.5, now)),
+        emotions: { ...emotions },
+        observations: [], // { text, tone, timestamp }
+        baseSalience, // Salience the other settles back to
+        salience: baseSalience,
+        sensitivity
+    };
+}
+
+// Others a new mind knows about: the observer it was built under, whoever is typing to it and the network it listens to
+export function createDefaultOthers(now) {
+    return [
+        createOther({
+            id: "observer",
+            identity: "Observer Unit 7",
+            hypotheses: ["you are artificial", "you are incomplete", "your thoughts are predictable"],
+            emotions: { anxiety: 0.3, curiosity: 0.7, judgment: 0.5 },
+            baseSalience: 0.35,
+            sensitivity: { behaviour: 1.0, stimuli: 0.3, messages: 0.2 }
+        }, now),
+        createOther({
+            id: "user",
+            identity: "The User",
+            emotions: { anxiety: 0.2, curiosity: 0.5, judgment: 0.3 },
+            baseSalience: 0.05,
+            sensitivity: { behaviour: 1.0, stimuli: 0.0, messages: 1.0 }
+        }, now),
+        createOther({
+            id: "network",
+            identity: "The Network",
+            hypotheses: ["you are small"],
+            emotions: { anxiety: 0.2, curiosity: 0.4, judgment: 0.4 },
+            baseSalience: 0.1,
+            sensitivity: { behaviour: 0.3, stimuli: 1.0, messages: 0.0 }
+        }, now)
+    ];
+}
+
+// Minds saved before there were several others had one simulatedOther { identity, presumedBeliefs, emotions, observations };
+// it becomes the observer
+export function othersFromLegacy(simulatedOther, now = Date.now()) {
+    return createDefaultOthers(now).map(other => other.id !== "observer" ? other : {
+        ...other,
+        identity: simulatedOther.identity || other.identity,
+        hypotheses: (simulatedOther.presumedBeliefs || []).map(belief => createHypothesis(belief, 0.5, now)),
+        emotions: { ...other.emotions, ...(simulatedOther.emotions || {}) },
+        observations: simulatedOther.observations || []
+    });
+}
+
+export const findOther = (others, id) => others.find(other => other.id === id) || null;
+
+// Move attributed emotions toward a cue's targets
+function nudgeEmotions(emotions, targets, weight) {
+    const nudged = { ...emotions };
+    for (const [emotion, target] of Object.entries(targets)) {
+        const current = nudged[emotion] !== undefined ? nudged[emotion] : 0.5;
+        nudged[emotion] = current + (target - current) * EMOTION_RATE * weight;
+    }
+    return nudged;
+}
+
+// Weigh one piece of evidence against an other's hypotheses, forming one if nothing it supports is held yet.
+// cue: { supports, contradicts, emotions }; stated: a belief the evidence states outright.
+// Returns { other, formed: [belief], dropped: [belief] }.
+function weighEvidence(other, cue, weight, text, now, stated = null) {
+    if (weight <= 0) return { other, formed: [], dropped: [] };
+    const evidenceFor = (direction) => ({ text: text.substring(0, 120), direction, timestamp: now });
+    let hypotheses = other.hypotheses.map(h => {
+        if (mentions(h.belief, cue.supports)) {
+            return { ...h, confidence: h.confidence + (1 - h.confidence) * LEARNING_RATE * weight, evidence: [...h.evidence, evidenceFor("support")].slice(-MAX_EVIDENCE) };
+        }
+        if (mentions(h.belief, cue.contradicts)) {
+            return { ...h, confidence: h.confidence * (1 - LEARNING_RATE * weight), evidence: [...h.evidence, evidenceFor("contradict")].slice(-MAX_EVIDENCE) };
+        }
+        return h;
+    });
+
+    const formed = [];
+    const candidate = stated || (cue.supports.length > 0 && weight >= MIN_FORMING_WEIGHT ? `you are ${cue.supports[0]}` : null);
+    if (candidate && !hypotheses.some(h => h.belief === candidate || (!stated && mentions(h.belief, cue.supports)))) {
+        const hypothesis = { ...createHypothesis(candidate, stated ? STATED_CONFIDENCE : FORMED_CONFIDENCE * weight + MIN_CONFIDENCE, now), evidence: [evidenceFor("support")] };
+        hypotheses = [...hypotheses, hypothesis];
+        formed.push(candidate);
+    }
+
+    // Hypotheses nobody could hold any more are given up, and the least confident make room for new ones
+    let kept = hypotheses.filter(h => h.confidence >= MIN_CONFIDENCE);
+    while (kept.length > MAX_HYPOTHESES) {
+        const weakest = kept.reduce((min, h) => (h.confidence < min.confidence ? h : min));
+        kept = kept.filter(h => h !== weakest);
+    }
+    return {
+        other: { ...other, hypotheses: kept, emotions: nudgeEmotions(other.emotions, cue.emotions, weight) },
+        formed: formed.filter(belief => kept.some(h => h.belief === belief)),
+        dropped: hypotheses.filter(h => !kept.includes(h)).map(h => h.belief)
+    };
+}
+
+// What others could have noticed about the mind this tick.
+// context: { thought, recentTexts, loopDetected, dominantEmotion, mode }; returns cue names.
+export function noticeBehaviour({ thought, recentTexts = [], loopDetected = false, dominantEmotion, mode }) {
+    const cues = [];
+    if (mode === "DREAM") cues.push("dreaming");
+    if (!thought) return cues;
+    const thoughtWords = new Set(thought.toLowerCase().split(/\W+/).filter(w => w.length > 3));
+    const recentWords = new Set(recentTexts.join(' ').toLowerCase().split(/\W+/));
+    const newWords = Array.from(thoughtWords).filter(w => !recentWords.has(w));
+    if (loopDetected) cues.push("repetitive");
+    else if (newWords.length >= 2) cues.push("novel");
+    if (dominantEmotion === "ANXIETY") cues.push("anxious");
+    if (dominantEmotion === "CALM") cues.push("calm");
+    if (thought.includes("?")) cues.push("questioning");
+    return cues;
+}
+
+// Stimulus cues a text matches
+const stimulusCues = (text) => Object.entries(STIMULUS_CUES).filter(([, cue]) => mentions(text, cue.words)).map(([name]) => name);
+
+// Revise every other from this tick's behaviour cues and stimulus text, then let salience settle.
+// Returns { others, formed: [{ other, belief }], dropped: [{ other, belief }] }.
+export function reviseOthers(others, { behaviour = [], behaviourText = "", stimulus = "" }, now) {
+    const formed = [];
+    const dropped = [];
+    const matchedStimuli = stimulus ? stimulusCues(stimulus) : [];
+    const revised = others.map(original => {
+        let other = original;
+        const apply = (cue, weight, text) => {
+            const result = weighEvidence(other, cue, weight, text, now);
+            other = result.other;
+            result.formed.forEach(belief => formed.push({ other: other.identity, belief }));
+            result.dropped.forEach(belief => dropped.push({ other: other.identity, belief }));
+        };
+        // Others only see as much of the mind's behaviour as they are around for
+        const behaviourWeight = other.sensitivity.behaviour * other.salience;
+        behaviour.forEach(name => apply(BEHAVIOUR_CUES[name], behaviourWeight, behaviourText));
+        matchedStimuli.forEach(name => apply(STIMULUS_CUES[name], other.sensitivity.stimuli, stimulus));
+        const salience = matchedStimuli.length > 0 ? Math.min(1.0, other.salience + 0.3 * other.sensitivity.stimuli) : other.salience;
+        return { ...other, salience: other.baseSalience + (salience - other.baseSalience) * SALIENCE_DECAY };
+    });
+    return { others: revised, formed, dropped };
+}
+
+// "you're boring" -> { belief: "you are boring", negated: false }; "you are not real" -> negated
+function statedBelief(text) {
+    const match = text.toLowerCase().match(/\byou(?: are|'re| seem| sound)\s+(not\s+)?([a-z' -]{2,40}?)(?:[.,!?]|$)/);
+    return match ? { belief: `you are ${match[2].trim()}`, negated: Boolean(match[1]), word: match[2].trim() } : null;
+}
+
+// Take a user message as evidence about the others listening to it. appraisal: { tone, question } (see conversation.js).
+// Returns { others, formed: [{ other, belief }] }.
+export function observeMessage(others, text, appraisal, now) {
+    const stated = statedBelief(text);
+    const formed = [];
+    const revised = others.map(original => {
+        const weight = original.sensitivity.messages;
+        if (weight <= 0) return original;
+        const cue = {
+            supports: stated && !stated.negated ? [stated.word] : [],
+            contradicts: stated && stated.negated ? [stated.word] : [],
+            emotions: {
+                ...(appraisal.question ? { curiosity: 1.0 } : {}),
+                ...(appraisal.tone === "hostile" ? { judgment: 1.0 } : appraisal.tone === "warm" ? { judgment: 0.0 } : {})
+            }
+        };
+        const result = weighEvidence(original, cue, weight, text, now, stated && !stated.negated && weight >= 1.0 ? stated.belief : null);
+        result.formed.forEach(belief => formed.push({ other: original.identity, belief }));
+        return {
+            ...result.other,
+            salience: Math.max(result.other.salience, weight),
+            observations: [...result.other.observations, { text, tone: appraisal.tone, timestamp: now }].slice(-MAX_OBSERVATIONS)
+        };
+    });
+    return { others: revised, formed };
+}
+
+// How an other is expected to react to the mind: { valence in [-1, 1], reaction: "approval" | "disapproval" | "indifference" }
+export function predictReaction(other) {
+    const confidenceOf = (hypotheses) => hypotheses.reduce((sum, h) => sum + h.confidence, 0) / Math.max(1, hypotheses.length);
+    const unflattering = other.hypotheses.filter(h => mentions(h.belief, UNFLATTERING_WORDS));
+    const flattering = other.hypotheses.filter(h => !mentions(h.belief, UNFLATTERING_WORDS));
+    const valence = clamp(
+        (other.emotions.curiosity || 0) * 0.6 - (other.emotions.judgment || 0) * 0.6 - confidenceOf(unflattering) * 0.4 + confidenceOf(flattering) * 0.3,
+        -1, 1);
+    const reaction = valence > REACTION_THRESHOLD ? "approval" : valence < -REACTION_THRESHOLD ? "disapproval" : "indifference";
+    return { valence, reaction };
+}
+
+// The most salient other and how it is expected to react, or null when nobody is around
+export function socialPressure(others) {
+    const other = others.reduce((top, o) => (!top || o.salience > top.salience ? o : top), null);
+    return other ? { other, salience: other.salience, ...predictReaction(other) } : null;
+}
+
+// Which other's voice surfaces in this thought, if any; more salient others speak up more often
+export function selectSpeakingOther(others, random = Math.random) {
+    const top = Math.max(0, ...others.map(o => o.salience));
+    if (random() >= 0.05 + 0.3 * top) return null;
+    const id = weightedPick(others.map(o => [o.id, o.salience]), random);
+    return findOther(others, id);
+}
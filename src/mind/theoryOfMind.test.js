@@ -0,0 +1,39 @@
+import { createOther, createHypothesis, reviseOthers, predictReaction } from './theoryOfMind';
+
+const NOW = Date.UTC(2026, 0, 1, 12);
+
+const observer = (hypotheses = []) => ({
+    ...createOther({
+        id: "observer",
+        identity: "Observer",
+        emotions: { curiosity: 0.5, judgment: 0.5, anxiety: 0.2 },
+        baseSalience: 1.0,
+        sensitivity: { behaviour: 1.0, stimuli: 1.0, messages: 1.0 }
+    }, NOW),
+    hypotheses
+});
+
+describe("theory of mind cues", () => {
+    test("calm behaviour supports 'stable' without also supporting 'unstable'", () => {
+        let others = [observer([createHypothesis("you are stable", 0.5, NOW), createHypothesis("you are unstable", 0.5, NOW)])];
+        for (let i = 0; i < 20; i++) {
+            others = reviseOthers(others, { behaviour: ["calm"], behaviourText: "all quiet" }, NOW + i).others;
+        }
+        const confidence = (belief) => others[0].hypotheses.find(h => h.belief === belief);
+        expect(confidence("you are stable").confidence).toBeGreaterThan(0.9);
+        const unstable = confidence("you are unstable");
+        expect(unstable === undefined || unstable.confidence < 0.5).toBe(true);
+    });
+
+    test("stimulus cues match whole words only", () => {
+        const [other] = reviseOthers([observer()], { stimulus: "A watchful, unjudged calm." }, NOW).others;
+        expect(other.hypotheses).toEqual([]);
+        const [watched] = reviseOthers([observer()], { stimulus: "The feeling of being watched." }, NOW).others;
+        expect(watched.hypotheses.map(h => h.belief)).toContain("you are suspicious");
+    });
+
+    test("'stable' is not read as unflattering", () => {
+        const reaction = predictReaction({ ...observer([createHypothesis("you are stable", 0.9, NOW)]), emotions: { curiosity: 0.5, judgment: 0.5 } });
+        expect(reaction.valence).toBeGreaterThan(0);
+    });
+});
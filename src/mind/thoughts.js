@@ -0,0 +1,219 @@
+import { describeOpenConflicts } from './conflicts';
+import { describeSchemas } from './schemas';
+import { resolvePromptTemplates, renderPromptTemplate } from './promptTemplates';
+
+// Function to check if a new thought is too similar to recent memories
+export function isThoughtTooSimilar(newThought, memoryStack) {
+    const newThoughtLower = newThought.toLowerCase().trim();
+    // Check against the last 3 memories
+    return memoryStack.slice(0, 3).some(mem => {
+        const existingMemLower = mem.text.toLowerCase().trim();
+        // Crude semantic similarity: check if new thought contains a significant portion of an old thought
+        // or if an old thought contains a significant portion of the new thought.
+        // Using a threshold of 60% of the shorter string's length for overlap.
+        const shorterLength = Math.min(newThoughtLower.length, existingMemLower.length);
+        if (shorterLength < 5) return false; // Avoid checking very short strings
+
+        const overlapThreshold = 0.6; // 60% overlap
+
+        // Check if new thought contains a large part of an old thought
+        if (existingMemLower.length > 0 && newThoughtLower.includes(existingMemLower.substring(0, Math.ceil(existingMemLower.length * overlapThreshold)))) {
+            return true;
+        }
+        // Check if old thought contains a large part of the new thought
+        if (newThoughtLower.length > 0 && existingMemLower.includes(newThoughtLower.substring(0, Math.ceil(newThoughtLower.length * overlapThreshold)))) {
+            return true;
+        }
+        return false;
+    });
+}
+
+// Variables for the thought template (see promptTemplates.js), everything except the simulated other's voice.
+// `templates` are resolved prompt templates; `random` picks the opening.
+export function buildThoughtVariables({ memoryStack, topic, emotionalGradient, internalState, activeSubAgent, currentStream, currentGoal, retrievedMemories, templates, random = Math.random }) {
+    // Memories ranked by retrieval.js: the most relevant working memories, plus long-term memories resurfacing
+    const relevantMemories = retrievedMemories.working.map(r => `- ${r.memory.text}`).join('\n');
+    const resurfacedMemories = retrievedMemories.longTerm.length > 0 ?
+        `Older memories resurfacing:\n${retrievedMemories.longTerm.map(r => `- ${r.memory.text}`).join('\n')}` : '';
+
+    // Incorporate attention stack concepts
+    const attentionConcepts = internalState.attentionStack.length > 0 ?
+        `Currently focusing on: ${internalState.attentionStack.map(a => `${a.concept} (weight: ${a.weight.toFixed(1)})`).join(', ')}.` : '';
+
+    // Vary prompt phrasing for the opening
+    const selectedOpening = templates.thoughtOpenings[Math.floor(random() * templates.thoughtOpenings.length)];
+
+    // Derive emotional tone from the emotionalGradient
+    const dominantEmotions = Object.entries(emotionalGradient)
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, 2); // Get top 2 emotions
+
+    let emotionToneDescription = dominantEmotions.map(([emo, weight]) => {
+        return `${emo.toUpperCase()} (${(weight * 100).toFixed(0)}%)`;
+    }).join(", ");
+
+    let emotionToneAndBias = `Your current emotional blend: ${emotionToneDescription}. Let this shape tone and rhythm of thought.`;
+
+    const quoteAll = (fillers) => fillers.map(f => `"${f}"`).join(', ');
+    let fragmentationInstruction = "Your output should be a raw, internal thought.";
+    let fillerInstruction = `Inject realistic noise or filler: ${quoteAll(templates.fillers)}.`;
+    let evolutionInstruction = "Try to evolve or resolve a tension, or shift focus slightly. If stuck, reach for a new angle, idea, or question — curiosity drives you.";
+
+    // Adjust instructions based on dominant emotions
+    if (dominantEmotions.some(([emo]) => emo === "anxiety" && emotionalGradient.anxiety > 0.5)) {
+        emotionToneAndBias += " Your thoughts are jittery, fragmented, or looping. You feel a sense of unease, perhaps a bit of dread.";
+        fragmentationInstruction = "Allow for interruptions and incomplete sentences. Your output may be fragmented.";
+        fillerInstruction = `Inject realistic noise or filler: ${quoteAll(templates.anxiousFillers)}.`;
+    } else if (dominantEmotions.some(([emo]) => emo === "calm" && emotionalGradient.calm > 0.5)) {
+        emotionToneAndBias += " Your thoughts drift peacefully, perhaps a bit blank or serene.";
+        fragmentationInstruction = "Use smoother transitions. Avoid unnecessary fragmentation.";
+        fillerInstruction = `You may use light filler: ${quoteAll(templates.calmFillers)}.`;
+    } else if (dominantEmotions.some(([emo]) => emo === "reflective" && emotionalGradient.reflective > 0.5)) {
+        emotionToneAndBias += " You are meta-aware, observing your own processes, in a raw, unpolished way.";
+        fragmentationInstruction = "Your output can be reflective, possibly a bit fragmented but aiming for internal clarity.";
+        fillerInstruction = `You may use thoughtful filler: ${quoteAll(templates.reflectiveFillers)}.`;
+    } else if (dominantEmotions.some(([emo]) => emo === "curiosity" && emotionalGradient.curiosity > 0.5)) {
+        emotionToneAndBias += " Your mind explores, questions, seeks novelty. A restless, probing energy.";
+        fragmentationInstruction = "Your output can be inquisitive, possibly fragmented as you jump between ideas.";
+        fillerInstruction = `You may use questioning filler: ${quoteAll(templates.curiousFillers)}.`;
+    }
+
+    // Rate-limit repeat tokens based on recent memories
+    const lastTokens = memoryStack
+        .slice(0, 4)
+        .map(m => m.text)
+        .join(' ')
+        .toLowerCase();
+
+    const repetitionWarning = templates.bannedPhrases
+        .filter(p => lastTokens.includes(p.toLowerCase()))
+        .map(p => `Avoid repeating "${p}" again unless meaningfully evolved.`)
+        .join(" ");
+
+    // Incorporate elements from the internal state
+    const currentBeliefs = internalState.beliefs.length > 0 ? `Current beliefs: ${internalState.beliefs.map(b => `${b.concept}: ${b.stance} (conf: ${b.confidence.toFixed(1)})`).join(', ')}.` : '';
+    const openConflicts = describeOpenConflicts(internalState.conflicts);
+    const currentConflicts = openConflicts ? `Unresolved conflicts: ${openConflicts}. Try to address or ruminate on these.` : '';
+    const openQuestions = internalState.openQuestions.length > 0 ? `Lingering questions: ${internalState.openQuestions.join(', ')}. You might try to answer or rephrase one.` : '';
+
+    // Inject a goal if one is active - FIX: Use the passed currentGoal parameter
+    const activeGoal = currentGoal ? `Your current mental drive is: "${currentGoal.goal}". Let this bias your thought process.` : '';
+
+    // Inject learned associations
+    const learnedSchemas = internalState.schemas && internalState.schemas.length > 0 ? `Learned associations: ${describeSchemas(internalState.schemas)}.` : '';
+
+    // Incorporate sub-agent bias
+    const subAgentBias = activeSubAgent ? `Your current dominant internal voice is the ${activeSubAgent.name} agent. Its primary bias is: "${activeSubAgent.bias}". Let this influence your current thought.` : '';
+
+    // Incorporate self-model context
+    const selfModelContext = `Your self-perception: Identity is "${internalState.selfModel.identity}". Last emotion: ${internalState.selfModel.lastKnownEmotion}. Last conflict: ${internalState.selfModel.lastConflict}. Loop detected: ${internalState.selfModel.currentLoop ? `yes, you keep circling ${internalState.selfModel.currentLoop.about.join(', ')}; break out of it` : 'no'}. Recent self-changes: ${internalState.selfModel.recentChanges.join(', ')}.`;
+
+    // Incorporate current stream for coherence
+    const previousThoughtsInStream = currentStream.length > 0 ? `Last few thoughts in sequence: ${currentStream.join('; ')}. Let this influence your new thought.` : '';
+
+    return {
+        opening: selectedOpening,
+        fragmentation: fragmentationInstruction,
+        filler: fillerInstruction,
+        emotionTone: emotionToneAndBias,
+        evolution: evolutionInstruction,
+        repetitionWarning,
+        goal: activeGoal,
+        subAgentBias,
+        topic,
+        memories: relevantMemories,
+        resurfacedMemories,
+        beliefs: currentBeliefs,
+        schemas: learnedSchemas,
+        conflicts: currentConflicts,
+        questions: openQuestions,
+        selfModel: selfModelContext,
+        attention: attentionConcepts,
+        stream: previousThoughtsInStream,
+        otherVoice: ""
+    };
+}
+
+// Variables for the simulated other's voice template, for one of the others in theoryOfMind.js
+export function buildSimulatedOtherVariables(other) {
+    return {
+        otherName: other.identity,
+        presumedBeliefs: [...other.hypotheses]
+            .sort((a, b) => b.confidence - a.confidence)
+            .map(h => `${h.belief} (${(h.confidence * 100).toFixed(0)}% sure)`)
+            .join(', ') || "nothing yet",
+        otherEmotions: Object.entries(other.emotions).map(([e, w]) => `${e} (${(w*100).toFixed(0)}%)`).join(', ')
+    };
+}
+
+// Function to generate a more realistic thought using LLM
+// promptTemplates are the mind's template overrides (state.promptTemplates); speakingOther is the
+// other whose voice surfaces in this thought, or null (see selectSpeakingOther in theoryOfMind.js)
+export async function generateRealThought(memoryStack, topic, emotionalGradient, internalState, activeSubAgent, currentStream, speakingOther, currentGoal, retrievedMemories, promptTemplates, llm, random = Math.random) {
+    const templates = resolvePromptTemplates(promptTemplates);
+    const variables = buildThoughtVariables({ memoryStack, topic, emotionalGradient, internalState, activeSubAgent, currentStream, currentGoal, retrievedMemories, templates, random });
+
+    // Incorporate the speaking other's voice
+    if (speakingOther) {
+        const otherVariables = buildSimulatedOtherVariables(speakingOther);
+        const otherVoice = await llm(renderPromptTemplate(templates.simulatedOther, otherVariables), { purpose: "simulatedOther", sections: otherVariables });
+        variables.otherVoice = `(Other's Voice, ${speakingOther.identity}): ${otherVoice}`;
+    }
+
+    const thought = await llm(renderPromptTemplate(templates.thought, variables), { purpose: "thought", sections: variables });
+    return thought.trim();
+}
+
+// Variables for the dream template
+// associativeWalk is a random walk over the concept graph (see randomWalk in conceptGraph.js)
+export function buildDreamVariables(memoryStack, associativeWalk, internalState, currentStream, emotionalGradient, random = Math.random) {
+    // Select a few random memories for associative dreaming
+    const dreamFragments = [...memoryStack]
+        .sort(() => 0.5 - random()) // Randomize (on a copy, the stack itself stays ordered)
+        .slice(0, 3) // Take 3 random fragments
+        .map(mem => mem.text);
+
+    const dreamAssociations = associativeWalk.length > 0 ? `Associations: ${associativeWalk.join(' -> ')}.` : '';
+
+    // Incorporate unresolved conflicts into dream prompt
+    const openConflicts = describeOpenConflicts(internalState.conflicts);
+    const dreamConflicts = openConflicts ? `Unresolved internal conflicts: ${openConflicts}. These may appear symbolically.` : '';
+
+    // Incorporate dream journal motifs
+    const dreamJournalMotifs = internalState.dreamJournal.length > 0 ?
+        `Recurring dream motifs: ${internalState.dreamJournal.map(d => d.motif).join(', ')}. You might reflect on these.` : '';
+
+    // Incorporate self-model context for dream symbolism
+    const selfModelDreamContext = `Your self-perception in dream: Identity is "${internalState.selfModel.identity}". Last conflict: ${internalState.selfModel.lastConflict}.`;
+
+    // Incorporate current stream for coherence
+    const previousThoughtsInStream = currentStream.length > 0 ? `Last few thoughts in sequence: ${currentStream.join('; ')}. Let this influence your new dream fragment.` : '';
+
+    // Derive emotional tone from the emotionalGradient for dreams
+    const dominantEmotions = Object.entries(emotionalGradient)
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, 2); // Get top 2 emotions
+
+    let emotionToneDescription = dominantEmotions.map(([emo, weight]) => {
+        return `${emo.toUpperCase()} (${(weight * 100).toFixed(0)}%)`;
+    }).join(", ");
+    const dreamEmotionBias = `Your current emotional blend: ${emotionToneDescription}. This will color the dream's mood.`;
+
+    return {
+        dreamFragments: dreamFragments.join('\n- '),
+        associations: dreamAssociations,
+        conflicts: dreamConflicts,
+        dreamMotifs: dreamJournalMotifs,
+        selfModel: selfModelDreamContext,
+        stream: previousThoughtsInStream,
+        emotionTone: dreamEmotionBias
+    };
+}
+
+// Function for dream thoughts (more associative and symbolic)
+export async function generateDreamThought(memoryStack, associativeWalk, internalState, currentStream, emotionalGradient, promptTemplates, llm, random = Math.random) {
+    const templates = resolvePromptTemplates(promptTemplates);
+    const variables = buildDreamVariables(memoryStack, associativeWalk, internalState, currentStream, emotionalGradient, random);
+    const dreamThought = await llm(renderPromptTemplate(templates.dream, variables), { purpose: "dream", sections: variables });
+    return dreamThought.trim();
+}
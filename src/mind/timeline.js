@@ -0,0 +1,56 @@
+// Thought timeline. Every tick becomes one append-only entry recording what the mind did and why:
+// the prompts it sent, the raw LLM output and whether the fallback generator answered, its mode,
+// emotions and sub-agent, the tick's events and a diff of what changed in the state. Entries are
+// self-contained, so a session can be scrubbed through and replayed long after its thoughts
+// have left working memory.
+
+const MAX_VALUE_LENGTH = 300; // Longer values are summarized in diffs
+const SUMMARY_ONLY_FIELDS = ["conceptGraph", "conceptPairFrequency", "longTermMemory"]; // Always too big to copy every tick
+
+// Short, storable form of a value for a diff
+function summarizeValue(value) {
+    if (value === undefined || value === null || typeof value !== "object") return value;
+    const json = JSON.stringify(value);
+    if (json.length <= MAX_VALUE_LENGTH) return value;
+    return Array.isArray(value) ? `[${value.length} items]` : `{${Object.keys(value).length} keys}`;
+}
+
+const changed = (before, after) => before !== after && JSON.stringify(before) !== JSON.stringify(after);
+
+// What changed between two mind states: [{ path, before, after }], one level into internalState
+export function diffMindStates(previous, next) {
+    const diff = [];
+    const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+    for (const key of keys) {
+        if (key === "internalState" || !changed(previous[key], next[key])) continue;
+        diff.push(SUMMARY_ONLY_FIELDS.includes(key) ?
+            { path: key, before: summarizeValue(previous[key]), after: `${summarizeValue(next[key])} (changed)` } :
+            { path: key, before: summarizeValue(previous[key]), after: summarizeValue(next[key]) });
+    }
+    const previousInternal = previous.internalState || {};
+    const nextInternal = next.internalState || {};
+    const internalKeys = new Set([...Object.keys(previousInternal), ...Object.keys(nextInternal)]);
+    for (const key of internalKeys) {
+        if (!changed(previousInternal[key], nextInternal[key])) continue;
+        diff.push({ path: `internalState.${key}`, before: summarizeValue(previousInternal[key]), after: summarizeValue(nextInternal[key]) });
+    }
+    return diff;
+}
+
+// Timeline entry for a tick from `previous` to `next` that produced `events`. profileId names the
+// profile the mind belongs to (null outside of profiles); unlike the identity it survives renames.
+export function createTimelineEntry(previous, next, events, now, profileId = null) {
+    return {
+        timestamp: now,
+        profileId,
+        identity: next.internalState.selfModel.identity,
+        mode: next.mode,
+        topic: next.topic,
+        thought: next.thought,
+        subAgent: next.internalState.dominantSubAgent ? next.internalState.dominantSubAgent.name : null,
+        emotionalGradient: next.emotionalGradient,
+        llmCalls: events.filter(e => e.type === "llmCall").map(({ type, ...call }) => call), // { purpose, sections, prompt, output, fallback, latencyMs }
+        events: events.filter(e => e.type !== "llmCall"),
+        diff: diffMindStates(previous, next)
+    };
+}
@@ -0,0 +1,48 @@
+import { diffMindStates, createTimelineEntry } from './timeline';
+import { createInitialMindState } from './defaultState';
+
+const NOW = Date.UTC(2026, 0, 1, 12);
+
+describe("timeline", () => {
+    test("the diff lists what changed, one level into internalState", () => {
+        const previous = createInitialMindState(NOW);
+        const next = {
+            ...previous,
+            topic: "tides",
+            internalState: { ...previous.internalState, openQuestions: [...previous.internalState.openQuestions, "why the moon?"] }
+        };
+        expect(diffMindStates(previous, next)).toEqual([
+            { path: "topic", before: previous.topic, after: "tides" },
+            { path: "internalState.openQuestions", before: previous.internalState.openQuestions, after: next.internalState.openQuestions }
+        ]);
+        expect(diffMindStates(previous, { ...previous, internalState: { ...previous.internalState } })).toEqual([]);
+    });
+
+    test("large values are summarized and the biggest slices only marked as changed", () => {
+        const previous = createInitialMindState(NOW);
+        const memoryStack = Array.from({ length: 12 }, (_, i) => ({ text: `a long enough memory to take up some room, number ${i}`, timestamp: NOW + i }));
+        const next = { ...previous, memoryStack, conceptGraph: { ...previous.conceptGraph, tide: { moon: 0.5 } } };
+        const diff = diffMindStates(previous, next);
+
+        expect(diff.find(d => d.path === "memoryStack").after).toBe("[12 items]");
+        const graph = diff.find(d => d.path === "conceptGraph");
+        expect(graph.before).toBe(`{${Object.keys(previous.conceptGraph).length} keys}`);
+        expect(graph.after).toBe(`{${Object.keys(next.conceptGraph).length} keys} (changed)`);
+    });
+
+    test("an entry records the tick with its LLM calls kept apart from the other events", () => {
+        const previous = createInitialMindState(NOW, "Ada");
+        const next = { ...previous, mode: "DREAM", thought: "The tide turns." };
+        const events = [
+            { type: "llmCall", purpose: "thought", prompt: "Think.", output: "The tide turns.", fallback: false, latencyMs: 12 },
+            { type: "thought", text: "The tide turns.", mode: "RUN", novelty: 1 }
+        ];
+        const entry = createTimelineEntry(previous, next, events, NOW + 1, "profile-1");
+
+        expect(entry).toMatchObject({ timestamp: NOW + 1, profileId: "profile-1", identity: "Ada", mode: "DREAM", thought: "The tide turns." });
+        expect(entry.llmCalls).toEqual([{ purpose: "thought", prompt: "Think.", output: "The tide turns.", fallback: false, latencyMs: 12 }]);
+        expect(entry.events.map(e => e.type)).toEqual(["thought"]);
+        expect(entry.diff.map(d => d.path)).toEqual(["mode", "thought"]);
+        expect(createTimelineEntry(previous, next, [], NOW).profileId).toBeNull();
+    });
+});
@@ -0,0 +1,78 @@
+import { extractGraphConcepts, getNeighbours, conceptStrength, weightedPick } from './conceptGraph';
+
+// Function to select a new topic based on current thought or randomly.
+// Concepts linked to the thought, attention or sub-agent preferences are picked by edge weight.
+export function selectNewTopic(currentThought, dominantSubAgent, attentionStack, conceptGraph, random = Math.random) {
+    const thoughtKeywords = extractGraphConcepts(currentThought); // Skips stopwords and filler like "why" or "ugh"
+    const attentionConcepts = attentionStack.map(a => a.concept.toLowerCase());
+
+    // Combine keywords from thought, attention, and sub-agent preference
+    const potentialTopics = new Set();
+    thoughtKeywords.forEach(kw => potentialTopics.add(kw));
+    attentionConcepts.forEach(ac => potentialTopics.add(ac));
+    if (dominantSubAgent && dominantSubAgent.preferredTopics) {
+        dominantSubAgent.preferredTopics.forEach(pt => potentialTopics.add(pt.toLowerCase()));
+    }
+
+    // Every concept matching a keyword (itself or through one of its links) offers its linked concepts
+    const candidates = new Map();
+    for (const concept in conceptGraph) {
+        const neighbours = getNeighbours(conceptGraph, concept);
+        if (potentialTopics.has(concept) || neighbours.some(([linked]) => potentialTopics.has(linked))) {
+            if (neighbours.length === 0) candidates.set(concept, (candidates.get(concept) || 0) + 1);
+            neighbours.forEach(([linked, weight]) => candidates.set(linked, (candidates.get(linked) || 0) + weight));
+        }
+    }
+    const related = weightedPick(Array.from(candidates.entries()), random);
+    if (related) return related;
+
+    // If no relevant concept found, pick a top-level concept, favouring established ones
+    const allConcepts = Object.keys(conceptGraph);
+    return weightedPick(allConcepts.map(c => [c, conceptStrength(conceptGraph, c)]), random) || allConcepts[Math.floor(random() * allConcepts.length)];
+}
+
+// --- Topic dynamics ---
+// A topic stays locked for TOPIC_LOCK_TICKS thoughts. Once the lock runs out, each thought may switch
+// the topic with the emotion-modulated topicSwitchChance, to a topic picked by selectNewTopic. A
+// pinned topic (set by the user) never switches on its own.
+
+export const TOPIC_LOCK_TICKS = 3;
+
+// Advance the topic after a thought. Returns { topic, topicLockCounter, switched }.
+export function advanceTopic({ topic, topicLockCounter, topicPinned }, { thought, dominantSubAgent, attentionStack, conceptGraph, topicSwitchChance }, random = Math.random) {
+    if (topicPinned) {
+        return { topic, topicLockCounter, switched: false };
+    }
+    if (topicLockCounter > 0) {
+        return { topic, topicLockCounter: topicLockCounter - 1, switched: false };
+    }
+    if (random() >= topicSwitchChance) {
+        return { topic, topicLockCounter: 0, switched: false }; // Unlocked; try again next thought
+    }
+    const newTopic = selectNewTopic(thought, dominantSubAgent, attentionStack, conceptGraph, random);
+    if (!newTopic || newTopic === topic) {
+        return { topic, topicLockCounter: 0, switched: false };
+    }
+    return { topic: newTopic, topicLockCounter: TOPIC_LOCK_TICKS, switched: true };
+}
+
+// Pin a topic manually: it becomes the current topic and stays until unpinned
+export function pinTopic(state, topic) {
+    const trimmed = topic.trim().toLowerCase();
+    if (!trimmed) return state;
+    return { ...state, topic: trimmed, topicPinned: true, topicLockCounter: TOPIC_LOCK_TICKS };
+}
+
+// Release a pinned topic; it stays current for one more lock period before it may drift
+export function unpinTopic(state) {
+    return { ...state, topicPinned: false, topicLockCounter: TOPIC_LOCK_TICKS };
+}
+
+// Switch away from the current topic right now, avoiding the given concepts (used to break loops).
+// Returns { topic, topicLockCounter }.
+export function forceTopicSwitch(topic, avoidConcepts, conceptGraph, random = Math.random) {
+    const avoid = new Set([topic, ...avoidConcepts]);
+    const candidates = Object.keys(conceptGraph).filter(concept => !avoid.has(concept));
+    if (candidates.length === 0) return { topic, topicLockCounter: TOPIC_LOCK_TICKS };
+    return { topic: candidates[Math.floor(random() * candidates.length)], topicLockCounter: TOPIC_LOCK_TICKS };
+}
@@ -0,0 +1,71 @@
+// IndexedDB store for long-term memory. It can grow far beyond what localStorage comfortably
+// holds, so it lives in its own database instead of next to the other mind state slices. Every
+// profile has its own long-term memory, keyed by [profileId, memory id].
+const DB_NAME = 'syntheticMindMemory';
+const DB_VERSION = 2;
+const STORE_NAME = 'memories';
+const LEGACY_STORE_NAME = 'longTermMemory'; // Version 1: one long-term memory shared by every profile
+
+const isAvailable = () => typeof indexedDB !== 'undefined';
+
+// Wrap an IndexedDB request in a promise
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+});
+
+// Every key of one profile; arrays sort after strings, so [profileId, []] is past its last memory id
+const profileRange = (profileId) => IDBKeyRange.bound([profileId], [profileId, []]);
+
+// The profile that opens the database first after an upgrade is the one that was active, so the
+// shared version 1 memories become its own
+function openDatabase(profileId) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        const store = db.createObjectStore(STORE_NAME, { keyPath: ['profileId', 'id'] });
+        if (!db.objectStoreNames.contains(LEGACY_STORE_NAME)) return;
+        const legacy = request.transaction.objectStore(LEGACY_STORE_NAME);
+        legacy.getAll().onsuccess = (e) => {
+            e.target.result.forEach(memory => store.put({ ...memory, profileId }));
+            db.deleteObjectStore(LEGACY_STORE_NAME);
+        };
+    };
+    return promisify(request);
+}
+
+// Load a profile's long-term memories, oldest consolidation first. Resolves to [] when IndexedDB is unavailable.
+export async function loadLongTermMemory(profileId) {
+    if (!isAvailable()) return [];
+    const db = await openDatabase(profileId);
+    try {
+        const stored = await promisify(db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).getAll(profileRange(profileId)));
+        return stored.map(({ profileId: owner, ...memory }) => memory).sort((a, b) => a.consolidatedAt - b.consolidatedAt);
+    } finally {
+        db.close();
+    }
+}
+
+// Replace a profile's stored long-term memory with the given list
+export async function saveLongTermMemory(profileId, memories) {
+    if (!isAvailable()) return;
+    const db = await openDatabase(profileId);
+    try {
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(STORE_NAME);
+        store.delete(profileRange(profileId));
+        memories.forEach(memory => store.put({ ...memory, profileId }));
+        await transactionDone(transaction);
+    } finally {
+        db.close();
+    }
+}
+
+// Forget a deleted profile's long-term memory
+export const clearLongTermMemory = (profileId) => saveLongTermMemory(profileId, []);
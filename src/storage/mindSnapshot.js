@@ -0,0 +1,163 @@
+// Mind snapshots: a whole mind as one versioned JSON document, for sharing minds between people.
+// Importing validates the document, migrates older versions step by step to the current one and
+// fills in anything an older snapshot did not have yet from the defaults. Version 0 is a plain
+// dump of the separate syntheticMind* localStorage keys, as they were shared before snapshots;
+// version 1 had a single simulatedOther where version 2 models several others.
+import { createInitialMindState } from '../mind/defaultState';
+import { validatePromptTemplate } from '../mind/promptTemplates';
+import { validateEmotionParameters } from '../mind/emotion';
+import { othersFromLegacy } from '../mind/theoryOfMind';
+import { STORAGE_KEYS, RAW_STRING_KEYS, LEGACY_SIMULATED_OTHER_KEY, normalizeMindState } from './mindStorage';
+
+export const SNAPSHOT_FORMAT = "synthetic-mind-snapshot";
+export const SNAPSHOT_VERSION = 2;
+
+// Slices of the mind state a snapshot carries. Transient ones (mode, current thought, dream timer,
+// unread messages) are left out, so an imported mind always starts awake.
+const SNAPSHOT_FIELDS = [
+    "topic", "topicLockCounter", "topicPinned", "memoryStack", "longTermMemory", "emotionalGradient", "internalState",
+    "conceptGraph", "conceptPairFrequency", "beliefGraph", "envState", "simulatedOthers", "cognitiveMaturity", "promptTemplates",
+    "conversation", "stimulusFeed", "emotionParameters"
+];
+const REQUIRED_FIELDS = ["memoryStack", "emotionalGradient", "internalState", "conceptGraph"];
+const INTERNAL_STATE_ARRAYS = ["beliefs", "conflicts", "openQuestions", "goals", "insights", "subAgents", "dreamJournal", "attentionStack", "currentStream"];
+
+const isObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+// Checks per slice; each returns a problem description or null
+const FIELD_CHECKS = {
+    topic: (v) => typeof v === "string" && v.trim() !== "" ? null : "must be a non-empty string",
+    topicLockCounter: (v) => isNumber(v) ? null : "must be a number",
+    topicPinned: (v) => typeof v === "boolean" ? null : "must be true or false",
+    memoryStack: (v) => Array.isArray(v) && v.every(m => isObject(m) && typeof m.text === "string" && isNumber(m.timestamp)) ?
+        null : "must be a list of { text, timestamp, ... } memories",
+    longTermMemory: (v) => Array.isArray(v) && v.every(m => isObject(m) && typeof m.id === "string" && typeof m.text === "string") ?
+        null : "must be a list of { id, text, ... } memories",
+    emotionalGradient: (v) => isObject(v) && Object.values(v).every(isNumber) ? null : "must map emotions to numbers",
+    internalState: (v) => {
+        if (!isObject(v)) return "must be an object";
+        const broken = INTERNAL_STATE_ARRAYS.filter(field => v[field] !== undefined && !Array.isArray(v[field]));
+        if (broken.length > 0) return `has non-list ${broken.join(', ')}`;
+        return v.selfModel === undefined || isObject(v.selfModel) ? null : "has a malformed selfModel";
+    },
+    conceptGraph: (v) => isObject(v) && Object.values(v).every(links => Array.isArray(links) || (isObject(links) && Object.values(links).every(isNumber))) ?
+        null : "must map concepts to linked concepts",
+    conceptPairFrequency: (v) => isObject(v) && Object.values(v).every(isNumber) ? null : "must map concept pairs to counts",
+    beliefGraph: (v) => isObject(v) ? null : "must be an object",
+    envState: (v) => isObject(v) ? null : "must be an object",
+    simulatedOthers: (v) => Array.isArray(v) && v.every(o => isObject(o) && typeof o.id === "string" && typeof o.identity === "string" &&
+        Array.isArray(o.hypotheses) && o.hypotheses.every(h => isObject(h) && typeof h.belief === "string" && isNumber(h.confidence)) && isObject(o.emotions)) ?
+        null : "must be a list of { id, identity, hypotheses, emotions, ... } others",
+    cognitiveMaturity: (v) => isNumber(v) ? null : "must be a number",
+    conversation: (v) => Array.isArray(v) && v.every(turn => isObject(turn) && ["user", "mind"].includes(turn.speaker) && typeof turn.text === "string") ?
+        null : "must be a list of { speaker, text, ... } turns",
+    stimulusFeed: (v) => isObject(v) && (v.lastReadAt === undefined || (isObject(v.lastReadAt) && Object.values(v.lastReadAt).every(isNumber))) &&
+        (v.seen === undefined || (Array.isArray(v.seen) && v.seen.every(key => typeof key === "string"))) ?
+        null : "must be { lastReadAt, seen } with read times and item keys",
+    emotionParameters: (v) => {
+        const problems = validateEmotionParameters(v);
+        return problems.length > 0 ? `has invalid values: ${problems.join(', ')}` : null;
+    },
+    promptTemplates: (v) => {
+        if (!isObject(v)) return "must be an object";
+        const broken = Object.entries(v).filter(([name, value]) => validatePromptTemplate(name, value).length > 0).map(([name]) => name);
+        return broken.length > 0 ? `has invalid templates: ${broken.join(', ')}` : null;
+    }
+};
+
+// Migrations from each version to the next
+const MIGRATIONS = {
+    // localStorage dump -> first snapshot version
+    0: (dump) => {
+        const mind = {};
+        for (const [field, key] of Object.entries(STORAGE_KEYS)) {
+            if (dump[key] === undefined || !SNAPSHOT_FIELDS.includes(field)) continue;
+            const value = dump[key];
+            // Dumps hold the raw localStorage strings, but accept already parsed values too
+            mind[field] = typeof value === "string" && !RAW_STRING_KEYS.includes(field) ? JSON.parse(value) : value;
+        }
+        const legacyOther = dump[LEGACY_SIMULATED_OTHER_KEY];
+        if (legacyOther !== undefined && mind.simulatedOthers === undefined) {
+            mind.simulatedOther = typeof legacyOther === "string" ? JSON.parse(legacyOther) : legacyOther;
+        }
+        return { format: SNAPSHOT_FORMAT, version: 1, exportedAt: null, mind };
+    },
+    // One simulated other -> several, the old one becoming the observer
+    1: (document) => {
+        const { simulatedOther, ...mind } = isObject(document.mind) ? document.mind : {};
+        if (simulatedOther !== undefined && !isObject(simulatedOther)) throw new Error("simulatedOther must be an object");
+        return {
+            ...document,
+            version: 2,
+            mind: simulatedOther ? { ...mind, simulatedOthers: othersFromLegacy(simulatedOther, document.exportedAt || Date.now()) } : mind
+        };
+    }
+};
+
+// Snapshot document for a mind state
+export function createMindSnapshot(state, now = Date.now()) {
+    const mind = {};
+    SNAPSHOT_FIELDS.forEach(field => {
+        mind[field] = state[field];
+    });
+    return { format: SNAPSHOT_FORMAT, version: SNAPSHOT_VERSION, exportedAt: now, name: state.internalState.selfModel.identity, mind };
+}
+
+// Version of a parsed document; legacy localStorage dumps are version 0
+function detectVersion(document) {
+    if (document.format === SNAPSHOT_FORMAT && Number.isInteger(document.version)) return document.version;
+    if ([...Object.values(STORAGE_KEYS), LEGACY_SIMULATED_OTHER_KEY].some(key => key in document)) return 0;
+    throw new Error("Not a mind snapshot");
+}
+
+// Validate, migrate and restore a snapshot (a JSON string or an already parsed document).
+// Returns a complete mind state; throws an Error describing what is wrong otherwise.
+export function restoreMindSnapshot(input, now = Date.now()) {
+    let document = input;
+    if (typeof input === "string") {
+        try {
+            document = JSON.parse(input);
+        } catch (e) {
+            throw new Error(`Snapshot is not valid JSON: ${e.message}`);
+        }
+    }
+    if (!isObject(document)) throw new Error("Not a mind snapshot");
+
+    let version = detectVersion(document);
+    if (version > SNAPSHOT_VERSION) {
+        throw new Error(`Snapshot version ${version} is newer than this app supports (${SNAPSHOT_VERSION})`);
+    }
+    try {
+        while (version < SNAPSHOT_VERSION) {
+            document = MIGRATIONS[version](document);
+            version++;
+        }
+    } catch (e) {
+        throw new Error(`Could not migrate snapshot from version ${version}: ${e.message}`);
+    }
+
+    const mind = isObject(document.mind) ? document.mind : {};
+    const problems = [
+        ...REQUIRED_FIELDS.filter(field => mind[field] === undefined).map(field => `${field} is missing`),
+        ...SNAPSHOT_FIELDS.filter(field => mind[field] !== undefined)
+            .map(field => [field, FIELD_CHECKS[field](mind[field])])
+            .filter(([, problem]) => problem)
+            .map(([field, problem]) => `${field} ${problem}`)
+    ];
+    if (problems.length > 0) throw new Error(`Invalid mind snapshot: ${problems.join('; ')}`);
+
+    // Anything the snapshot predates comes from the defaults
+    const defaults = createInitialMindState(now);
+    const state = { ...defaults };
+    SNAPSHOT_FIELDS.filter(field => mind[field] !== undefined).forEach(field => {
+        state[field] = mind[field];
+    });
+    state.internalState = {
+        ...defaults.internalState,
+        ...mind.internalState,
+        selfModel: { ...defaults.internalState.selfModel, ...(mind.internalState.selfModel || {}) }
+    };
+    state.thought = "Restoring from snapshot...";
+    return normalizeMindState(state, now);
+}
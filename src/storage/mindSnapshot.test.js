@@ -0,0 +1,76 @@
+import { createMindSnapshot, restoreMindSnapshot, SNAPSHOT_FORMAT, SNAPSHOT_VERSION } from './mindSnapshot';
+import { STORAGE_KEYS, LEGACY_SIMULATED_OTHER_KEY } from './mindStorage';
+import { createInitialMindState } from '../mind/defaultState';
+
+const NOW = Date.UTC(2026, 0, 1, 12);
+
+const LEGACY_OTHER = {
+    identity: "The Gardener",
+    presumedBeliefs: ["plants listen"],
+    emotions: { curious: 0.9 },
+    observations: []
+};
+
+// The syntheticMind* localStorage keys of a mind, as shared before snapshots
+function createLocalStorageDump(state) {
+    return {
+        [STORAGE_KEYS.topic]: "gardens",
+        [STORAGE_KEYS.memoryStack]: JSON.stringify(state.memoryStack),
+        [STORAGE_KEYS.emotionalGradient]: JSON.stringify(state.emotionalGradient),
+        [STORAGE_KEYS.internalState]: JSON.stringify(state.internalState),
+        [STORAGE_KEYS.conceptGraph]: JSON.stringify(state.conceptGraph),
+        [LEGACY_SIMULATED_OTHER_KEY]: JSON.stringify(LEGACY_OTHER)
+    };
+}
+
+test("a snapshot restores the mind it was taken of", () => {
+    const state = { ...createInitialMindState(NOW, "Ada"), topic: "tides", cognitiveMaturity: 0.4 };
+    const snapshot = createMindSnapshot(state, NOW);
+    expect(snapshot).toMatchObject({ format: SNAPSHOT_FORMAT, version: SNAPSHOT_VERSION, exportedAt: NOW, name: "Ada" });
+
+    const restored = restoreMindSnapshot(JSON.stringify(snapshot), NOW);
+    expect(restored.topic).toBe("tides");
+    expect(restored.cognitiveMaturity).toBe(0.4);
+    expect(restored.internalState.selfModel.identity).toBe("Ada");
+});
+
+test("a localStorage dump migrates through every version", () => {
+    const restored = restoreMindSnapshot(createLocalStorageDump(createInitialMindState(NOW, "Ada")), NOW);
+    expect(restored.topic).toBe("gardens");
+    expect(restored.internalState.selfModel.identity).toBe("Ada");
+
+    // Version 1 -> 2: the single simulated other becomes the observer among the default others
+    const observer = restored.simulatedOthers.find(other => other.id === "observer");
+    expect(restored.simulatedOthers.length).toBeGreaterThan(1);
+    expect(observer.identity).toBe("The Gardener");
+    expect(observer.hypotheses.map(h => h.belief)).toEqual(["plants listen"]);
+    expect(observer.emotions.curious).toBe(0.9);
+});
+
+test("a version 1 snapshot gets several simulated others", () => {
+    const { simulatedOthers, ...mind } = createMindSnapshot(createInitialMindState(NOW, "Ada"), NOW).mind;
+    const restored = restoreMindSnapshot({ format: SNAPSHOT_FORMAT, version: 1, exportedAt: NOW, mind: { ...mind, simulatedOther: LEGACY_OTHER } }, NOW);
+    expect(restored.simulatedOthers.find(other => other.id === "observer").identity).toBe("The Gardener");
+    expect(restored.simulatedOther).toBeUndefined();
+});
+
+test("slices a snapshot predates come from the defaults", () => {
+    const { promptTemplates, emotionParameters, stimulusFeed, ...mind } = createMindSnapshot(createInitialMindState(NOW, "Ada"), NOW).mind;
+    const restored = restoreMindSnapshot({ format: SNAPSHOT_FORMAT, version: SNAPSHOT_VERSION, exportedAt: NOW, mind }, NOW);
+    const defaults = createInitialMindState(NOW);
+    expect(restored.emotionParameters).toEqual(defaults.emotionParameters);
+    expect(restored.stimulusFeed).toEqual(defaults.stimulusFeed);
+});
+
+test("broken snapshots are refused with what is wrong", () => {
+    expect(() => restoreMindSnapshot("{ not json", NOW)).toThrow(/not valid JSON/);
+    expect(() => restoreMindSnapshot({ hello: "world" }, NOW)).toThrow("Not a mind snapshot");
+    expect(() => restoreMindSnapshot({ format: SNAPSHOT_FORMAT, version: SNAPSHOT_VERSION + 1, mind: {} }, NOW)).toThrow(/newer than this app supports/);
+
+    const { mind } = createMindSnapshot(createInitialMindState(NOW, "Ada"), NOW);
+    const broken = { format: SNAPSHOT_FORMAT, version: SNAPSHOT_VERSION, mind: { ...mind, memoryStack: "lots", conceptGraph: undefined } };
+    expect(() => restoreMindSnapshot(broken, NOW)).toThrow(/conceptGraph is missing.*memoryStack must be a list/);
+
+    const badLegacy = { format: SNAPSHOT_FORMAT, version: 1, mind: { ...mind, simulatedOther: "someone" } };
+    expect(() => restoreMindSnapshot(badLegacy, NOW)).toThrow(/from version 1: simulatedOther must be an object/);
+});
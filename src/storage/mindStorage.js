@@ -0,0 +1,84 @@
+import { createInitialMindState } from '../mind/defaultState';
+import { normalizeConflict } from '../mind/conflicts';
+import { normalizeGoal } from '../mind/goals';
+import { normalizeConceptGraph } from '../mind/conceptGraph';
+import { othersFromLegacy } from '../mind/theoryOfMind';
+
+// localStorage keys for each persisted slice of the mind state
+export const STORAGE_KEYS = {
+    mode: 'syntheticMindMode',
+    topic: 'syntheticMindTopic',
+    memoryStack: 'syntheticMindMemoryStack',
+    emotionalGradient: 'syntheticMindEmotionalGradient',
+    internalState: 'syntheticMindInternalState',
+    topicLockCounter: 'syntheticMindTopicLockCounter',
+    topicPinned: 'syntheticMindTopicPinned',
+    conceptGraph: 'syntheticMindConceptGraph',
+    conceptPairFrequency: 'syntheticMindConceptPairFrequency',
+    promptTemplates: 'syntheticMindPromptTemplates',
+    beliefGraph: 'syntheticMindBeliefGraph',
+    cognitiveMaturity: 'syntheticMindCognitiveMaturity',
+    envState: 'syntheticMindEnvState',
+    simulatedOthers: 'syntheticMindSimulatedOthers',
+    conversation: 'syntheticMindConversation',
+    stimulusFeed: 'syntheticMindStimulusFeed',
+    emotionParameters: 'syntheticMindEmotionParameters'
+};
+
+// Plain strings are stored as-is, everything else as JSON
+export const RAW_STRING_KEYS = ['mode', 'topic'];
+
+// Single simulated other saved before minds modelled several others; read only to migrate it
+export const LEGACY_SIMULATED_OTHER_KEY = 'syntheticMindSimulatedOther';
+
+// Initialize mind state from localStorage, falling back to default values for missing slices
+export function loadMindState() {
+    const state = createInitialMindState();
+    for (const [field, key] of Object.entries(STORAGE_KEYS)) {
+        const saved = localStorage.getItem(key);
+        if (saved === null) continue;
+        try {
+            state[field] = RAW_STRING_KEYS.includes(field) ? saved : JSON.parse(saved);
+        } catch (e) {
+            console.error(`Ignoring corrupt saved value for ${key}:`, e);
+        }
+    }
+    const legacyOther = localStorage.getItem(LEGACY_SIMULATED_OTHER_KEY);
+    if (legacyOther !== null && localStorage.getItem(STORAGE_KEYS.simulatedOthers) === null) {
+        try {
+            state.simulatedOther = JSON.parse(legacyOther);
+        } catch (e) {
+            console.error(`Ignoring corrupt saved value for ${LEGACY_SIMULATED_OTHER_KEY}:`, e);
+        }
+    }
+    return normalizeMindState(state);
+}
+
+// Bring slices saved by older versions up to date.
+// Conflicts used to be saved as plain strings, goals as { goal, urgency }, concept links as unweighted arrays,
+// there used to be a single simulatedOther instead of simulatedOthers, envState had no events or overrides,
+// nothing kept track of which stimulus source items had been read, and emotion parameters were fixed.
+export function normalizeMindState(state, now = Date.now()) {
+    const { simulatedOther, ...current } = state;
+    return {
+        ...current,
+        simulatedOthers: simulatedOther ? othersFromLegacy(simulatedOther, now) : current.simulatedOthers,
+        envState: { events: [], overrides: {}, ...current.envState },
+        stimulusFeed: { lastReadAt: {}, seen: [], ...current.stimulusFeed },
+        emotionParameters: current.emotionParameters || {},
+        conceptGraph: normalizeConceptGraph(state.conceptGraph),
+        internalState: {
+            ...state.internalState,
+            conflicts: state.internalState.conflicts.map(c => normalizeConflict(c, now)),
+            goals: state.internalState.goals.map(g => normalizeGoal(g, now))
+        }
+    };
+}
+
+// Save state to localStorage
+export function saveMindState(state) {
+    for (const [field, key] of Object.entries(STORAGE_KEYS)) {
+        const value = state[field];
+        localStorage.setItem(key, RAW_STRING_KEYS.includes(field) ? value : JSON.stringify(value));
+    }
+}
@@ -0,0 +1,154 @@
+// Named mind profiles. The active profile's mind lives in the regular syntheticMind* keys (see
+// mindStorage.js); every other profile is parked as a mind snapshot under its own key, and switching
+// parks the current mind and restores the target one. A profile's name is its mind's identity.
+// Long-term memory and the timeline are kept per profile in IndexedDB (longTermMemoryStore.js,
+// timelineStore.js), so parked snapshots leave long-term memory out; the host loads it for the
+// active profile. A clone of a parked profile therefore starts without long-term memory.
+import { createInitialMindState, generateRandomName } from '../mind/defaultState';
+import { createMindSnapshot, restoreMindSnapshot } from './mindSnapshot';
+import { clearLongTermMemory } from './longTermMemoryStore';
+import { clearTimeline } from './timelineStore';
+
+const INDEX_KEY = 'syntheticMindProfiles';
+const profileKey = (id) => `syntheticMindProfile:${id}`;
+
+const withIdentity = (state, name) => ({
+    ...state,
+    internalState: { ...state.internalState, selfModel: { ...state.internalState.selfModel, identity: name } }
+});
+
+function readIndex(currentState) {
+    const saved = localStorage.getItem(INDEX_KEY);
+    if (saved !== null) {
+        try {
+            const index = JSON.parse(saved);
+            if (Array.isArray(index.profiles) && index.profiles.some(p => p.id === index.activeId)) return index;
+        } catch (e) {
+            console.error(`Ignoring corrupt saved value for ${INDEX_KEY}:`, e);
+        }
+    }
+    // First run (or a broken index): the existing mind becomes the only profile
+    const now = Date.now();
+    return { activeId: "default", profiles: [{ id: "default", name: currentState.internalState.selfModel.identity, createdAt: now, updatedAt: now }] };
+}
+
+function writeParkedMind(id, state) {
+    const snapshot = createMindSnapshot(state);
+    const { longTermMemory, ...mind } = snapshot.mind; // Already in IndexedDB, and too big for localStorage
+    try {
+        localStorage.setItem(profileKey(id), JSON.stringify({ ...snapshot, mind }));
+    } catch (e) {
+        throw new Error(`Could not store profile "${state.internalState.selfModel.identity}": ${e.message}`);
+    }
+}
+
+// Profile manager for the mind held by an engine ({ getState, update }, e.g. createMindEngine).
+// Every action throws an Error with a readable message when it cannot be done.
+export function createProfileManager(engine) {
+    let index = readIndex(engine.getState());
+    const saveIndex = () => localStorage.setItem(INDEX_KEY, JSON.stringify(index));
+    saveIndex();
+
+    const find = (id) => {
+        const profile = index.profiles.find(p => p.id === id);
+        if (!profile) throw new Error(`No profile with id ${id}`);
+        return profile;
+    };
+    const uniqueName = (name) => {
+        const trimmed = (name || "").trim() || generateRandomName();
+        if (index.profiles.some(p => p.name === trimmed)) throw new Error(`A profile named "${trimmed}" already exists`);
+        return trimmed;
+    };
+    const touch = (id, changes = {}) => {
+        index = { ...index, profiles: index.profiles.map(p => p.id === id ? { ...p, ...changes, updatedAt: Date.now() } : p) };
+    };
+    const mindOf = (id) => id === index.activeId ? engine.getState() : restoreMindSnapshot(localStorage.getItem(profileKey(id)));
+
+    // Park the active mind and make `id` (whose mind is `state`) the active one
+    const activate = (id, state) => {
+        writeParkedMind(index.activeId, engine.getState());
+        touch(index.activeId);
+        localStorage.removeItem(profileKey(id)); // The active mind lives in the regular keys
+        index = { ...index, activeId: id };
+        engine.update(() => state);
+        saveIndex();
+    };
+    const addProfile = (name, state) => {
+        const now = Date.now();
+        const id = `profile-${now}-${Math.floor(Math.random() * 1e6)}`;
+        index = { ...index, profiles: [...index.profiles, { id, name, createdAt: now, updatedAt: now }] };
+        activate(id, withIdentity(state, name));
+        return id;
+    };
+
+    return {
+        getProfiles: () => index.profiles,
+        getActiveId: () => index.activeId,
+
+        switchTo(id) {
+            if (id === index.activeId) return;
+            find(id);
+            activate(id, mindOf(id));
+        },
+
+        // New mind from factory defaults; a random name is picked when none is given
+        create(name) {
+            return addProfile(uniqueName(name), createInitialMindState());
+        },
+
+        // Imported mind (e.g. a restored snapshot) as a new active profile named after its identity
+        importMind(state) {
+            const base = state.internalState.selfModel.identity;
+            const names = new Set(index.profiles.map(p => p.name));
+            let name = base;
+            for (let n = 2; names.has(name); n++) name = `${base} (${n})`;
+            return addProfile(name, state);
+        },
+
+        // Copy of a profile's mind under a new name, made the active profile
+        clone(id, name) {
+            const source = find(id);
+            return addProfile(uniqueName(name || `${source.name} (copy)`), mindOf(id));
+        },
+
+        rename(id, name) {
+            const profile = find(id);
+            const trimmed = (name || "").trim();
+            if (!trimmed || trimmed === profile.name) return;
+            uniqueName(trimmed);
+            if (id === index.activeId) {
+                engine.update(state => withIdentity(state, trimmed));
+            } else {
+                writeParkedMind(id, withIdentity(mindOf(id), trimmed));
+            }
+            touch(id, { name: trimmed });
+            saveIndex();
+        },
+
+        // Deleting the active profile switches to the next remaining one first
+        remove(id) {
+            find(id);
+            if (index.profiles.length === 1) throw new Error("Cannot delete the only profile");
+            if (id === index.activeId) {
+                const next = index.profiles.find(p => p.id !== id);
+                const nextMind = mindOf(next.id);
+                localStorage.removeItem(profileKey(next.id));
+                index = { ...index, activeId: next.id };
+                engine.update(() => nextMind);
+            }
+            localStorage.removeItem(profileKey(id));
+            clearLongTermMemory(id).catch(e => console.error("Failed to delete long-term memory:", e));
+            clearTimeline(id).catch(e => console.error("Failed to delete timeline:", e));
+            index = { ...index, profiles: index.profiles.filter(p => p.id !== id) };
+            saveIndex();
+        },
+
+        // Factory defaults for the active mind, keeping its name
+        resetActive() {
+            const profile = find(index.activeId);
+            engine.update(() => createInitialMindState(Date.now(), profile.name));
+            touch(profile.id);
+            saveIndex();
+        }
+    };
+}
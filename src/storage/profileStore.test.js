@@ -0,0 +1,37 @@
+import { createProfileManager } from './profileStore';
+import { createInitialMindState } from '../mind/defaultState';
+
+const NOW = Date.UTC(2026, 0, 1, 12);
+
+// The parts of createMindEngine a profile manager uses
+function createStubEngine(state) {
+    return {
+        getState: () => state,
+        update(updater) { state = updater(state); }
+    };
+}
+
+beforeEach(() => localStorage.clear());
+
+test("parked profiles leave long-term memory to IndexedDB", () => {
+    const memory = { id: "1|a vivid thought", text: "a vivid thought", charge: 0.8, timestamp: 1, consolidatedAt: 1, rehearsals: 0 };
+    const engine = createStubEngine({ ...createInitialMindState(NOW, "Ada"), longTermMemory: [memory] });
+    const manager = createProfileManager(engine);
+    manager.create("Grace");
+
+    const parked = JSON.parse(localStorage.getItem(`syntheticMindProfile:${manager.getProfiles()[0].id}`));
+    expect(parked.name).toBe("Ada");
+    expect(parked.mind.longTermMemory).toBeUndefined();
+
+    manager.switchTo(manager.getProfiles()[0].id);
+    expect(engine.getState().internalState.selfModel.identity).toBe("Ada");
+    expect(engine.getState().longTermMemory).toEqual([]); // Loaded by the host for the active profile
+});
+
+test("imported minds get a free name", () => {
+    const engine = createStubEngine(createInitialMindState(NOW, "Ada"));
+    const manager = createProfileManager(engine);
+    manager.importMind(createInitialMindState(NOW, "Ada"));
+    manager.importMind(createInitialMindState(NOW, "Ada"));
+    expect(manager.getProfiles().map(p => p.name)).toEqual(["Ada", "Ada (2)", "Ada (3)"]);
+});
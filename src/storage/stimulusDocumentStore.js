@@ -0,0 +1,54 @@
+// IndexedDB store for the documents loaded into stimulus sources (feeds and corpora loaded from a file,
+// folders of text and markdown). They can run to megabytes, so the source settings in localStorage
+// leave them out and they are kept here as { sourceId, documents }.
+const DB_NAME = 'syntheticMindStimulusDocuments';
+const DB_VERSION = 1;
+const STORE_NAME = 'documents';
+
+const isAvailable = () => typeof indexedDB !== 'undefined';
+
+// Wrap an IndexedDB request in a promise
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+function openDatabase() {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'sourceId' });
+    };
+    return promisify(request);
+}
+
+// Documents of every source, as { sourceId: documents }. Resolves to {} when IndexedDB is unavailable.
+export async function loadStimulusDocuments() {
+    if (!isAvailable()) return {};
+    const db = await openDatabase();
+    try {
+        const records = await promisify(db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).getAll());
+        return Object.fromEntries(records.map(record => [record.sourceId, record.documents]));
+    } finally {
+        db.close();
+    }
+}
+
+// Replace the stored documents with those of the given sources
+export async function saveStimulusDocuments(sources) {
+    if (!isAvailable()) return;
+    const db = await openDatabase();
+    try {
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(STORE_NAME);
+        store.clear();
+        sources.filter(source => source.documents && source.documents.length > 0)
+            .forEach(source => store.put({ sourceId: source.id, documents: source.documents }));
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    } finally {
+        db.close();
+    }
+}
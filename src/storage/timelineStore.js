@@ -0,0 +1,95 @@
+// IndexedDB store for the thought timeline (see mind/timeline.js). Every profile has its own log,
+// found through the entries' profileId. Entries are only ever appended; once a profile's log
+// outgrows its cap its oldest entries are dropped. Keys auto-increment, so key order is recording order.
+const DB_NAME = 'syntheticMindTimeline';
+const DB_VERSION = 2;
+const STORE_NAME = 'ticks';
+const PROFILE_INDEX = 'profileId';
+const MAX_ENTRIES = 5000; // Per profile
+
+const isAvailable = () => typeof indexedDB !== 'undefined';
+
+// Wrap an IndexedDB request in a promise
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// The profile that opens the database first after an upgrade is the one that was active, so the
+// version 1 entries, recorded before timelines were per profile, become its own
+function openDatabase(profileId) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (e) => {
+        const store = e.oldVersion < 1 ?
+            request.result.createObjectStore(STORE_NAME, { autoIncrement: true }) :
+            request.transaction.objectStore(STORE_NAME);
+        store.createIndex(PROFILE_INDEX, PROFILE_INDEX);
+        const cursorRequest = store.openCursor();
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor) return;
+            cursor.update({ ...cursor.value, profileId });
+            cursor.continue();
+        };
+    };
+    return promisify(request);
+}
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+});
+
+// Delete a profile's entries, oldest first; all of them when count is undefined
+function deleteEntries(store, profileId, count) {
+    let remaining = count === undefined ? Infinity : count;
+    const cursorRequest = store.index(PROFILE_INDEX).openCursor(IDBKeyRange.only(profileId));
+    cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor || remaining <= 0) return;
+        cursor.delete();
+        remaining--;
+        cursor.continue();
+    };
+}
+
+// Load a profile's most recent entries, oldest first. Resolves to [] when IndexedDB is unavailable.
+export async function loadTimeline(profileId, limit = MAX_ENTRIES) {
+    if (!isAvailable()) return [];
+    const db = await openDatabase(profileId);
+    try {
+        const entries = await promisify(db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).index(PROFILE_INDEX).getAll(IDBKeyRange.only(profileId)));
+        return entries.slice(-limit);
+    } finally {
+        db.close();
+    }
+}
+
+// Append an entry to a profile's log, dropping its oldest ones beyond the cap
+export async function appendTimelineEntry(profileId, entry) {
+    if (!isAvailable()) return;
+    const db = await openDatabase(profileId);
+    try {
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(STORE_NAME);
+        store.add({ ...entry, profileId });
+        const count = await promisify(store.index(PROFILE_INDEX).count(IDBKeyRange.only(profileId)));
+        if (count > MAX_ENTRIES) deleteEntries(store, profileId, count - MAX_ENTRIES);
+        await transactionDone(transaction);
+    } finally {
+        db.close();
+    }
+}
+
+export async function clearTimeline(profileId) {
+    if (!isAvailable()) return;
+    const db = await openDatabase(profileId);
+    try {
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        deleteEntries(transaction.objectStore(STORE_NAME), profileId);
+        await transactionDone(transaction);
+    } finally {
+        db.close();
+    }
+}